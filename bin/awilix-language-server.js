@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+const { startServer } = require('../src/server');
+
+// Speak LSP over stdin/stdout unless another transport is given
+if (!process.argv.some(arg => /^--(stdio|node-ipc|socket=|pipe=)/.test(arg))) {
+  process.argv.push('--stdio');
+}
+
+startServer();
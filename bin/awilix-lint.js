@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+const { main } = require('../src/cli/lint');
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    console.error(`awilix-lint: ${error.stack || error.message}`);
+    process.exitCode = 2;
+  }
+);
@@ -0,0 +1,480 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const {
+  parseJs,
+  traverse,
+  isMemberCall,
+  isAwilixAsX,
+  isCradleAccess,
+  isCreateContainerCall,
+  isCreateScopeCall,
+  getPropName,
+  toRange,
+  toInnerRange,
+  unwrapExpression
+} = require('./parsers/ast');
+const { importMapVisitor, resolveSymbolOrigin } = require('./parsers/resolvers');
+const { analyzeLoadModules, normalizeLifetime, normalizeInjectionMode } = require('./parsers/loadModules');
+const { evaluateStatic, isPlainObject } = require('./parsers/evaluate');
+const { createContainerTracker, describeTarget } = require('./parsers/containers');
+const { collectExports, isClassNode, isFunctionNode } = require('./parsers/exports');
+
+/**
+ * Analyze a registration call to extract kind, lifetime, injection mode and symbol
+ * @param {import('@babel/types').Node} node - RHS of the registration property
+ * @param {any} path - Babel path
+ * @returns {{kind: string, lifetime: string|null, injectionMode: string|null, symbolNode: any}}
+ */
+function analyzeRegistration(node, path) {
+  const info = { kind: 'value', lifetime: null, injectionMode: null, symbolNode: null };
+  const evaluate = (arg) => evaluateStatic(arg, { filePath: '', scope: path.scope });
+
+  // The outermost lifetime and injection mode calls win, e.g. asClass(X, { lifetime }).singleton()
+  const setLifetime = (lifetime) => {
+    if (!info.lifetime && lifetime) info.lifetime = lifetime;
+  };
+  const setInjectionMode = (injectionMode) => {
+    if (!info.injectionMode && injectionMode) info.injectionMode = injectionMode;
+  };
+  const setLifetimeFromOptions = (optionsNode) => {
+    const options = optionsNode ? evaluate(optionsNode) : null;
+    if (!isPlainObject(options)) return;
+    setLifetime(normalizeLifetime(options.lifetime));
+    setInjectionMode(normalizeInjectionMode(options.injectionMode));
+  };
+
+  // Handle chained calls like awilix.asClass(X).singleton()
+  const root = unwrapExpression(node);
+  let currentNode = root;
+
+  // If it's a chained call expression, traverse down to find the asX call
+  while (currentNode.type === 'CallExpression') {
+    // Check if current node has a lifetime method
+    if (currentNode.callee.type === 'MemberExpression') {
+      const methodName = currentNode.callee.property.name;
+      if (methodName === 'singleton' || methodName === 'scoped' || methodName === 'transient') {
+        setLifetime(methodName);
+      } else if (methodName === 'setLifetime') {
+        setLifetime(normalizeLifetime(evaluate(currentNode.arguments[0])));
+      } else if (methodName === 'classic' || methodName === 'proxy') {
+        setInjectionMode(methodName);
+      } else if (methodName === 'setInjectionMode') {
+        setInjectionMode(normalizeInjectionMode(evaluate(currentNode.arguments[0])));
+      }
+
+      // Check if this is the asX call
+      if (isAwilixAsX(currentNode.callee)) {
+        const asX = currentNode.callee.property.name;
+        info.kind = asX === 'asClass' ? 'class' : asX === 'asFunction' ? 'function' : 'value';
+        info.symbolNode = unwrapExpression(currentNode.arguments[0]) || null;
+        setLifetimeFromOptions(currentNode.arguments[1]);
+        break;
+      }
+
+      // Continue down the chain
+      currentNode = unwrapExpression(currentNode.callee.object);
+    } else if (isAwilixAsX(currentNode.callee)) {
+      // Direct asX call without chaining, e.g. asClass(X) destructured from awilix
+      const asX = currentNode.callee.name;
+      info.kind = asX === 'asClass' ? 'class' : asX === 'asFunction' ? 'function' : 'value';
+      info.symbolNode = unwrapExpression(currentNode.arguments[0]) || null;
+      setLifetimeFromOptions(currentNode.arguments[1]);
+      break;
+    } else {
+      break;
+    }
+  }
+
+  // If not a call expression, it's a direct value
+  if (info.symbolNode === null && root.type !== 'CallExpression') {
+    info.symbolNode = root;
+  }
+
+  return info;
+}
+
+/**
+ * Get the text written before asClass/asFunction in a registration, e.g. `awilix.`
+ * for `awilix.asClass(X).singleton()` or an empty string for a destructured `asClass(X)`
+ * @param {import('@babel/types').Node} node - RHS of the registration property
+ * @returns {string}
+ */
+function describeAsXPrefix(node) {
+  let currentNode = node;
+  while (currentNode.type === 'CallExpression') {
+    const { callee } = currentNode;
+    if (isAwilixAsX(callee)) {
+      const object = callee.type === 'MemberExpression' && describeTarget(callee.object);
+      return object ? `${object}.` : '';
+    }
+    if (callee.type !== 'MemberExpression') break;
+    currentNode = callee.object;
+  }
+  return '';
+}
+
+/**
+ * Describe the class or function owning an injection site: its name and the
+ * names it is exported under, so registrations can be matched to it. Static
+ * methods and object members are named after what holds them, e.g.
+ * `UserService.create` or `factories.makeRepo`.
+ * @param {any} declPath - Babel path of the class or function
+ * @param {Map<string, {localName: string|null, node: any}>} exportsMap
+ * @returns {{name: string|null, exports: string[]}}
+ */
+function describeOwner(declPath, exportsMap) {
+  const node = declPath.node;
+  const parent = declPath.parentPath;
+
+  let name = node.id ? node.id.name : null;
+  if (!name && parent.isVariableDeclarator() && parent.node.id.type === 'Identifier') {
+    name = parent.node.id.name;
+  }
+
+  const exportNames = [];
+  for (const [exportName, entry] of exportsMap) {
+    if (entry.node === node || (name && entry.localName === name)) exportNames.push(exportName);
+  }
+
+  // static create() {} / makeRepo() {} / makeRepo: () => {} / static create = () => {}
+  let member = null;
+  if (node.type === 'ClassMethod' || node.type === 'ObjectMethod') {
+    member = { node, holderPath: node.type === 'ClassMethod' ? parent.parentPath : parent };
+  } else if ((parent.isObjectProperty() || (parent.isClassProperty() && parent.node.static)) && parent.node.value === node) {
+    member = { node: parent.node, holderPath: parent.isObjectProperty() ? parent.parentPath : parent.parentPath.parentPath };
+  }
+  if (member && !member.node.computed && member.node.key.type === 'Identifier') {
+    const key = member.node.key.name;
+    const holder = describeOwner(member.holderPath, exportsMap);
+    if (holder.name) name = `${holder.name}.${key}`;
+    exportNames.push(...holder.exports.map(exportName => `${exportName}.${key}`));
+  }
+
+  return { name, exports: exportNames };
+}
+
+/**
+ * Tell how a subclass hands its injections to its parent class: Awilix
+ * injects into the inherited constructor when it has none of its own
+ * (`implicit`), and `super(deps)` passes the whole cradle on in PROXY mode
+ * (`super`)
+ * @param {any} classPath - Babel path of a class with a superclass
+ * @returns {'implicit'|'super'|null} null when the parent gets no injections
+ */
+function describeInheritance(classPath) {
+  const constructor = classPath.get('body.body').find(member => member.isClassMethod({ kind: 'constructor' }));
+  if (!constructor) return 'implicit';
+
+  let param = constructor.node.params[0];
+  if (param && param.type === 'TSParameterProperty') param = param.parameter;
+  if (param && param.type === 'AssignmentPattern') param = param.left;
+
+  let passesCradle = false;
+  constructor.traverse({
+    CallExpression(path) {
+      const [arg] = path.node.arguments;
+      if (path.node.callee.type !== 'Super' || !arg) return;
+      // super(deps) / super(...arguments)
+      const isCradle = param && param.type === 'Identifier' && arg.type === 'Identifier' && arg.name === param.name;
+      const isArguments = arg.type === 'SpreadElement' && arg.argument.type === 'Identifier' && arg.argument.name === 'arguments';
+      if (isCradle || isArguments) passesCradle = true;
+    }
+  });
+  return passesCradle ? 'super' : null;
+}
+
+/**
+ * Index a single file
+ * @param {string} fileUri - File URI
+ * @param {string} text - File content
+ * @param {any} logger - Optional logger
+ * @param {{workspaceRoot?: string, loadModulesGlobs?: string[], registerContainerNames?: string[]}} options - Indexing options
+ * @returns {{keys: Array, resolves: Array, containers: Array, registerCalls: Array, exports: Array, inherits: Array, dependencies: string[], loadsModules: boolean, error?: string}}
+ *   inherits lists the classes whose injections go to their parent class (see
+ *   describeInheritance); dependencies lists the other files read to index this
+ *   one; loadsModules tells if it calls loadModules(), whose globs may match new files;
+ *   error is set when the file could not be parsed
+ */
+function indexFile(fileUri, text, logger, options = {}) {
+  const result = { keys: [], resolves: [], containers: [], registerCalls: [], exports: [], inherits: [], dependencies: [], loadsModules: false };
+  const dependencies = new Set();
+  options = { ...options, dependencies };
+
+  try {
+    const ast = parseJs(text, fileUri.replace('file://', ''));
+    // Filled by the traversal below; the tracker only reads it once it is complete
+    const importMap = new Map();
+    const tracker = createContainerTracker(fileUri, importMap, options);
+    const exportsMap = collectExports(ast);
+    result.containers = tracker.containers;
+
+    // What a class or function can have injected, in both injection modes;
+    // linkContainers keeps the form its registrations' injection mode reads.
+    // PROXY (`injection: 'destructured'`): the destructured first parameter,
+    // constructor({ key1, key2 }), also typed (`{ key1 }: Deps`) or defaulted
+    // (`{ key1 } = {}`); (`injection: 'cradle'`) accesses on the first
+    // parameter in the body, `deps.key1` or `const { key1 } = deps`.
+    // CLASSIC (`injection: 'positional'`): the parameter names, constructor(key1, key2)
+    const collectInjections = (fnPath, owner) => {
+      const addInjection = (keyNode, injection) => {
+        // Typed parameters span their annotation
+        const range = toRange(keyNode);
+        range.end = { line: range.start.line, character: range.start.character + keyNode.name.length };
+        result.resolves.push({ uri: fileUri, range, key: keyNode.name, type: 'constructorInjection', injection, owner });
+      };
+      const addPatternKeys = (pattern, injection) => {
+        for (const prop of pattern.properties) {
+          if (prop.type === 'ObjectProperty' && prop.key.type === 'Identifier') addInjection(prop.key, injection);
+        }
+      };
+
+      const params = fnPath.node.params.map(param => {
+        if (param.type === 'TSParameterProperty') param = param.parameter;
+        return param.type === 'AssignmentPattern' ? param.left : param;
+      });
+
+      if (params[0].type === 'ObjectPattern') {
+        addPatternKeys(params[0], 'destructured');
+      } else if (params[0].type === 'Identifier') {
+        const binding = fnPath.scope.getBinding(params[0].name);
+        for (const reference of binding ? binding.referencePaths : []) {
+          const parent = reference.parent;
+          if ((parent.type === 'MemberExpression' || parent.type === 'OptionalMemberExpression') &&
+              parent.object === reference.node && !parent.computed && parent.property.type === 'Identifier') {
+            addInjection(parent.property, 'cradle');
+          } else if (parent.type === 'VariableDeclarator' && parent.init === reference.node && parent.id.type === 'ObjectPattern') {
+            addPatternKeys(parent.id, 'cradle');
+          }
+        }
+      }
+
+      for (const param of params) {
+        if (param.type === 'Identifier' && param.name !== 'this') addInjection(param, 'positional');
+      }
+    };
+
+    // `export = X` is TypeScript's `module.exports = X`
+    const isEsm = ast.program.sourceType === 'module' &&
+      !ast.program.body.some(statement => statement.type === 'TSExportAssignment');
+    for (const [exportName, entry] of exportsMap) {
+      result.exports.push({
+        uri: fileUri,
+        exportName,
+        localName: entry.localName,
+        kind: isClassNode(entry.node) ? 'class' : isFunctionNode(entry.node) ? 'function' : 'value',
+        esm: isEsm
+      });
+    }
+
+    if (logger) {
+      logger.appendLine(`  Parsing: ${fileUri.replace('file://', '')}`);
+    }
+
+    // Container calls and cradle accesses need the file's imports to know their
+    // receiver: they are collected in one traversal, which also collects the
+    // imports, and analyzed in source order afterwards
+    const containerPaths = [];
+    const subclassPaths = [];
+    const visitContainerCall = (path) => {
+      const { callee, arguments: args } = path.node;
+
+      // const container = createContainer() / const scope = container.createScope()
+      if (isCreateContainerCall(path.node) || isCreateScopeCall(path.node)) {
+        tracker.track(path);
+      }
+
+      // Only calls on a receiver known to be an Awilix container are considered
+      const containerOf = () => tracker.resolve(callee.object, path.scope);
+
+      // container.register({ ... })
+      let container;
+      if (isMemberCall(callee, 'register') && (container = containerOf())) {
+        const obj = unwrapExpression(args[0]);
+        if (obj && obj.type === 'ObjectExpression') {
+          // Where quick fixes insert new registrations, written like the existing ones
+          const firstAsX = obj.properties.find(prop => prop.type === 'ObjectProperty' && analyzeRegistration(prop.value, path).kind !== 'value');
+          result.registerCalls.push({
+            uri: fileUri,
+            container: container.id,
+            range: toRange(obj),
+            lastProperty: obj.properties.length > 0 ? toRange(obj.properties[obj.properties.length - 1]) : null,
+            asXPrefix: firstAsX ? describeAsXPrefix(firstAsX.value) : ''
+          });
+
+          for (const prop of obj.properties) {
+            if (prop.type !== 'ObjectProperty') continue;
+
+            const key = getPropName(prop.key);
+            if (!key) continue;
+
+            const regInfo = analyzeRegistration(prop.value, path);
+            const def = resolveSymbolOrigin(fileUri, regInfo.symbolNode, ast, importMap, options);
+
+            result.keys.push({
+              key,
+              fileUri: def.fileUri,
+              exportName: def.exportName,
+              range: def.range || toRange(prop.key),
+              kind: regInfo.kind,
+              lifetime: regInfo.lifetime,
+              injectionMode: regInfo.injectionMode,
+              doc: def.doc,
+              signature: def.signature,
+              container: container.id,
+              registration: {
+                uri: fileUri,
+                range: toInnerRange(prop.key),
+                shorthand: prop.shorthand,
+                expression: text.slice(prop.value.start, prop.value.end)
+              }
+            });
+
+            if (logger) {
+              logger.appendLine(`    ✓ Registered key: "${key}" (${regInfo.kind}${regInfo.lifetime ? ', ' + regInfo.lifetime : ''}) in ${container.name}`);
+            }
+          }
+        }
+      }
+
+      // container.loadModules([...globs], { formatName, resolverOptions })
+      if (isMemberCall(callee, 'loadModules') && (container = containerOf())) {
+        const moduleKeys = analyzeLoadModules(path, fileUri.replace('file://', ''), options, logger);
+        result.loadsModules = true;
+        for (const keyInfo of moduleKeys) {
+          keyInfo.container = container.id;
+          keyInfo.registration = {
+            uri: fileUri,
+            range: toRange(args[0] || path.node),
+            shorthand: false,
+            expression: text.slice(path.node.start, path.node.end)
+          };
+        }
+        result.keys.push(...moduleKeys);
+
+        if (logger) {
+          for (const keyInfo of moduleKeys) {
+            logger.appendLine(`    ✓ Registered key: "${keyInfo.key}" (${keyInfo.kind}${keyInfo.lifetime ? ', ' + keyInfo.lifetime : ''}) in ${container.name} via loadModules`);
+          }
+        }
+      }
+
+      // container.resolve('key')
+      if (isMemberCall(callee, 'resolve') && args[0]?.type === 'StringLiteral' && (container = containerOf())) {
+        result.resolves.push({
+          uri: fileUri,
+          range: toRange(args[0]),
+          key: args[0].value,
+          type: 'resolveCall',
+          container: container.id,
+          receiver: describeTarget(callee.object)
+        });
+      }
+    };
+
+    const visitCradleAccess = (path) => {
+      // container.cradle.key
+      const container = tracker.resolve(path.node.object.object, path.scope);
+      if (container) {
+        const key = path.node.property.name;
+        result.resolves.push({
+          uri: fileUri,
+          range: toRange(path.node.property),
+          key,
+          type: 'cradleMember',
+          container: container.id,
+          receiver: describeTarget(path.node.object.object)
+        });
+      }
+    };
+
+    traverse(ast, {
+      ...importMapVisitor(importMap),
+
+      CallExpression(path) {
+        const { callee } = path.node;
+        if (isCreateContainerCall(path.node) || isCreateScopeCall(path.node) ||
+            isMemberCall(callee, 'register') || isMemberCall(callee, 'loadModules') || isMemberCall(callee, 'resolve')) {
+          containerPaths.push(path);
+        }
+      },
+
+      MemberExpression(path) {
+        if (isCradleAccess(path.node)) containerPaths.push(path);
+      },
+
+      Class(path) {
+        if (path.node.superClass) subclassPaths.push(path);
+      },
+
+      // Constructors, and functions that may be registered as factories:
+      // declarations, function and arrow expressions, object methods and
+      // static methods. linkContainers only keeps the ones registered somewhere.
+      Function(path) {
+        const { node } = path;
+        if (node.params.length === 0) return;
+
+        if (node.type === 'ClassMethod' && node.kind === 'constructor') {
+          collectInjections(path, describeOwner(path.parentPath.parentPath, exportsMap));
+          return;
+        }
+        const isMethod = node.type === 'ClassMethod' || node.type === 'ClassPrivateMethod' || node.type === 'ObjectMethod';
+        if (isMethod && (node.kind !== 'method' || (node.type !== 'ObjectMethod' && !node.static))) return;
+
+        const owner = describeOwner(path, exportsMap);
+        if (owner.name || owner.exports.length > 0) collectInjections(path, owner);
+      }
+    });
+
+    for (const path of containerPaths) {
+      if (path.isCallExpression()) visitContainerCall(path);
+      else visitCradleAccess(path);
+    }
+
+    // Parent classes are resolved once the imports are known
+    for (const path of subclassPaths) {
+      const via = describeInheritance(path);
+      const owner = describeOwner(path, exportsMap);
+      if (!via || (!owner.name && owner.exports.length === 0)) continue;
+      const base = resolveSymbolOrigin(fileUri, unwrapExpression(path.node.superClass), ast, importMap, options);
+      result.inherits.push({ uri: fileUri, owner, base: { fileUri: base.fileUri, exportName: base.exportName }, via });
+    }
+  } catch (error) {
+    console.error(`Error parsing ${fileUri}:`, error.message);
+    result.error = error.message;
+  }
+
+  dependencies.delete(fileUri.replace('file://', ''));
+  result.dependencies = [...dependencies];
+  return result;
+}
+
+/**
+ * Hash file content
+ * @param {string} text
+ * @returns {string}
+ */
+function hashContent(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * Read and index a file from disk, stamping the result with the mtime, size and
+ * content hash it was computed from
+ * @param {string} file - Absolute path
+ * @param {any} logger - Optional logger
+ * @param {{workspaceRoot?: string, loadModulesGlobs?: string[], registerContainerNames?: string[]}} options - Indexing options
+ * @returns {ReturnType<typeof indexFile> & {stamp: {mtimeMs: number, size: number, hash: string}}}
+ */
+function indexDiskFile(file, logger, options) {
+  const stat = fs.statSync(file);
+  const text = fs.readFileSync(file, 'utf-8');
+  const fileIndex = indexFile('file://' + file, text, logger, options);
+  fileIndex.stamp = { mtimeMs: stat.mtimeMs, size: stat.size, hash: hashContent(text) };
+  return fileIndex;
+}
+
+module.exports = {
+  indexFile,
+  indexDiskFile,
+  hashContent
+};
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createIndex, mergeFileIndexes } = require('./indexer');
+
+// Bump when the shape or content of the per-file index results changes
+const CACHE_FORMAT = 7;
+
+/**
+ * Get the key a cache must match to be reused: a cache written by another
+ * version of the extension or with other indexing settings is discarded
+ * @param {string} version - Extension version
+ * @param {any} settings - Settings affecting the index results
+ * @returns {string}
+ */
+function cacheKey(version, settings) {
+  return crypto.createHash('sha1').update(JSON.stringify({ format: CACHE_FORMAT, version, settings })).digest('hex');
+}
+
+/**
+ * Restore an index from the cache file
+ * @param {string} cacheFile - Absolute path
+ * @param {string} key - From cacheKey
+ * @param {any} logger - Optional logger
+ * @returns {ReturnType<typeof createIndex>|null} null when there is no usable cache
+ */
+function loadIndexCache(cacheFile, key, logger) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(cacheFile, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT' && logger) logger.appendLine(`ERROR reading index cache ${cacheFile}: ${error.message}`);
+    return null;
+  }
+
+  if (!data || data.key !== key || !Array.isArray(data.files)) {
+    if (logger) logger.appendLine('Index cache was written with other settings or another version, ignoring it');
+    return null;
+  }
+
+  const index = createIndex();
+  for (const [uri, fileIndex] of data.files) {
+    index.files.set(uri, fileIndex);
+  }
+  mergeFileIndexes(index);
+  return index;
+}
+
+/**
+ * Write the per-file results of an index to the cache file. Files indexed from
+ * unsaved editor content are left out.
+ * @param {string} cacheFile - Absolute path
+ * @param {string} key - From cacheKey
+ * @param {ReturnType<typeof createIndex>} index
+ * @param {any} logger - Optional logger
+ * @returns {boolean} Whether the cache was written
+ */
+function saveIndexCache(cacheFile, key, index, logger) {
+  const files = [...index.files].filter(([, fileIndex]) => fileIndex.stamp);
+
+  try {
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    // Write then rename, so a crash never leaves half a cache behind
+    const tempFile = `${cacheFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ key, files }));
+    fs.renameSync(tempFile, cacheFile);
+    return true;
+  } catch (error) {
+    if (logger) logger.appendLine(`ERROR writing index cache ${cacheFile}: ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  cacheKey,
+  loadIndexCache,
+  saveIndexCache
+};
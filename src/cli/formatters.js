@@ -0,0 +1,196 @@
+const path = require('path');
+const { PROBLEM_CODES } = require('../problems');
+
+/**
+ * Output formats of awilix-lint. Each formatter takes the problems found (with
+ * absolute paths and 1-based positions, see toReportedProblem in lint.js) and
+ * the project root, and returns the text to print.
+ */
+
+/**
+ * Group problems by file, files and problems in order
+ * @param {Array} problems
+ * @returns {Map<string, Array>}
+ */
+function groupByFile(problems) {
+  const sorted = [...problems].sort((a, b) =>
+    a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column);
+  const byFile = new Map();
+  for (const problem of sorted) {
+    if (!byFile.has(problem.file)) byFile.set(problem.file, []);
+    byFile.get(problem.file).push(problem);
+  }
+  return byFile;
+}
+
+/**
+ * Get a path relative to the project root, with forward slashes
+ * @param {string} file
+ * @param {string} root
+ * @returns {string}
+ */
+function relativePath(file, root) {
+  return path.relative(root, file).split(path.sep).join('/');
+}
+
+/**
+ * Count problems by severity
+ * @param {Array} problems
+ * @returns {{errors: number, warnings: number}}
+ */
+function countProblems(problems) {
+  const errors = problems.filter(problem => problem.severity === 'error').length;
+  return { errors, warnings: problems.length - errors };
+}
+
+/**
+ * Human-readable output, like ESLint's default formatter
+ * @param {Array} problems
+ * @returns {string}
+ */
+function stylish(problems) {
+  if (problems.length === 0) return '';
+
+  const lines = [];
+  for (const [file, fileProblems] of groupByFile(problems)) {
+    lines.push(file);
+    const positions = fileProblems.map(problem => `${problem.line}:${problem.column}`);
+    const width = Math.max(...positions.map(position => position.length));
+    fileProblems.forEach((problem, i) => {
+      lines.push(`  ${positions[i].padEnd(width)}  ${problem.severity.padEnd(7)}  ${problem.message}  ${problem.code}`);
+    });
+    lines.push('');
+  }
+
+  const { errors, warnings } = countProblems(problems);
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  lines.push(`✖ ${plural(problems.length, 'problem')} (${plural(errors, 'error')}, ${plural(warnings, 'warning')})`, '');
+  return lines.join('\n');
+}
+
+/**
+ * ESLint-compatible JSON, one entry per file with problems
+ * @param {Array} problems
+ * @returns {string}
+ */
+function json(problems) {
+  const results = [];
+  for (const [file, fileProblems] of groupByFile(problems)) {
+    const { errors, warnings } = countProblems(fileProblems);
+    results.push({
+      filePath: file,
+      messages: fileProblems.map(problem => ({
+        ruleId: problem.code,
+        severity: problem.severity === 'error' ? 2 : 1,
+        message: problem.message,
+        line: problem.line,
+        column: problem.column,
+        endLine: problem.endLine,
+        endColumn: problem.endColumn
+      })),
+      errorCount: errors,
+      warningCount: warnings
+    });
+  }
+  return JSON.stringify(results, null, 2);
+}
+
+/**
+ * SARIF 2.1.0, for code scanning services
+ * @param {Array} problems
+ * @param {string} root
+ * @param {{version?: string}} tool
+ * @returns {string}
+ */
+function sarif(problems, root, tool = {}) {
+  const location = (problem) => ({
+    physicalLocation: {
+      artifactLocation: { uri: relativePath(problem.file, root), uriBaseId: '%SRCROOT%' },
+      region: {
+        startLine: problem.line,
+        startColumn: problem.column,
+        endLine: problem.endLine,
+        endColumn: problem.endColumn
+      }
+    }
+  });
+
+  const log = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'awilix-lint',
+          version: tool.version,
+          informationUri: 'https://github.com/EsteveSegura/awilix-helper',
+          rules: Object.entries(PROBLEM_CODES).map(([id, description]) => ({
+            id,
+            shortDescription: { text: description }
+          }))
+        }
+      },
+      originalUriBaseIds: {
+        '%SRCROOT%': { uri: `file://${root.split(path.sep).join('/').replace(/\/?$/, '/')}` }
+      },
+      results: [...groupByFile(problems).values()].flat().map(problem => ({
+        ruleId: problem.code,
+        level: problem.severity,
+        message: { text: problem.message },
+        locations: [location(problem)],
+        relatedLocations: (problem.related || []).map((related, id) => ({
+          id,
+          ...location(related),
+          message: { text: related.message }
+        }))
+      }))
+    }]
+  };
+  return JSON.stringify(log, null, 2);
+}
+
+/**
+ * Escape text for an XML attribute or element
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * JUnit XML, one test suite per file with problems and one failed test case per problem
+ * @param {Array} problems
+ * @param {string} root
+ * @returns {string}
+ */
+function junit(problems, root) {
+  const lines = ['<?xml version="1.0" encoding="utf-8"?>'];
+  lines.push(`<testsuites name="awilix-lint" tests="${problems.length}" failures="${problems.length}">`);
+
+  for (const [file, fileProblems] of groupByFile(problems)) {
+    const name = relativePath(file, root);
+    lines.push(`  <testsuite name="${escapeXml(name)}" tests="${fileProblems.length}" failures="${fileProblems.length}" errors="0">`);
+    for (const problem of fileProblems) {
+      const where = `${name}:${problem.line}:${problem.column}`;
+      lines.push(
+        `    <testcase name="${escapeXml(`${where} ${problem.code}`)}" classname="awilix.${problem.code}">`,
+        `      <failure message="${escapeXml(problem.message)}" type="${problem.severity}">${escapeXml(`${problem.severity} at ${where}: ${problem.message}`)}</failure>`,
+        '    </testcase>'
+      );
+    }
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>', '');
+  return lines.join('\n');
+}
+
+const FORMATTERS = { stylish, json, sarif, junit };
+
+module.exports = { FORMATTERS };
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const { buildIndex } = require('../indexer');
+const { findProblems, PROBLEM_CODES } = require('../problems');
+const { FORMATTERS } = require('./formatters');
+
+const DEFAULT_CONFIG_FILE = '.awilixrc.json';
+
+const USAGE = `Usage: awilix-lint [root] [options]
+
+Check the Awilix container registrations of a project.
+
+Arguments:
+  root                   Project root to index (default: current directory)
+
+Options:
+  -c, --config <file>    Config file (default: <root>/${DEFAULT_CONFIG_FILE} when it exists)
+  -f, --format <name>    Output format: ${Object.keys(FORMATTERS).join(', ')} (default: stylish)
+  -o, --output <file>    Write the report to a file instead of stdout
+  -h, --help             Show this help
+
+Exits with 1 when errors are found, 2 on invalid arguments or config.`;
+
+/**
+ * Error in the command line or config, reported without a stack trace
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse the command line arguments
+ * @param {string[]} argv
+ * @returns {{root: string, config: string|null, format: string, output: string|null, help: boolean}}
+ */
+function parseArgs(argv) {
+  const args = { root: null, config: null, format: 'stylish', output: null, help: false };
+  const value = (i, flag) => {
+    if (i >= argv.length) throw new UsageError(`Missing value for ${flag}`);
+    return argv[i];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') args.help = true;
+    else if (arg === '-c' || arg === '--config') args.config = value(++i, arg);
+    else if (arg === '-f' || arg === '--format') args.format = value(++i, arg);
+    else if (arg === '-o' || arg === '--output') args.output = value(++i, arg);
+    else if (arg.startsWith('-')) throw new UsageError(`Unknown option ${arg}`);
+    else if (args.root) throw new UsageError(`Unexpected argument ${arg}`);
+    else args.root = arg;
+  }
+
+  if (!FORMATTERS[args.format]) {
+    throw new UsageError(`Unknown format "${args.format}", expected one of: ${Object.keys(FORMATTERS).join(', ')}`);
+  }
+  args.root = path.resolve(args.root || '.');
+  return args;
+}
+
+/**
+ * Load the config file. It takes the same settings as the extension, plus the
+ * severity of each problem code:
+ * `{ "indexIgnore": [], "loadModulesGlobs": [], "registerContainerNames": ["container"], "rules": { "captive-dependency": "error" } }`
+ * @param {string} root
+ * @param {string|null} configPath - Explicit config file, required to exist
+ * @returns {{indexIgnore: string[], loadModulesGlobs: string[], registerContainerNames: string[], rules: Object<string, string>}}
+ */
+function loadConfig(root, configPath) {
+  const file = configPath ? path.resolve(configPath) : path.join(root, DEFAULT_CONFIG_FILE);
+  let config = {};
+  if (configPath || fs.existsSync(file)) {
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+      throw new UsageError(`Cannot read config file ${file}: ${error.message}`);
+    }
+  }
+
+  const rules = config.rules || {};
+  for (const [code, severity] of Object.entries(rules)) {
+    if (!PROBLEM_CODES[code]) throw new UsageError(`Unknown rule "${code}" in ${file}`);
+    if (!['error', 'warning', 'off'].includes(severity)) {
+      throw new UsageError(`Invalid severity "${severity}" for rule "${code}" in ${file}, expected error, warning or off`);
+    }
+  }
+
+  return {
+    indexIgnore: config.indexIgnore || [],
+    loadModulesGlobs: config.loadModulesGlobs || ['src/**/*.js'],
+    registerContainerNames: config.registerContainerNames || ['container'],
+    rules
+  };
+}
+
+/**
+ * Convert a problem to what formatters print: absolute path, 1-based positions
+ * @param {any} problem - See findProblems
+ * @returns {any}
+ */
+function toReportedProblem(problem) {
+  const position = (located) => ({
+    file: located.uri.replace('file://', ''),
+    line: located.range.start.line + 1,
+    column: located.range.start.character + 1,
+    endLine: located.range.end.line + 1,
+    endColumn: located.range.end.character + 1
+  });
+
+  return {
+    ...position(problem),
+    severity: problem.severity,
+    code: problem.code,
+    message: problem.message,
+    related: (problem.related || []).map(related => ({ ...position(related), message: related.message }))
+  };
+}
+
+/**
+ * Index a project and find its problems
+ * @param {string} root - Absolute path
+ * @param {ReturnType<typeof loadConfig>} config
+ * @returns {Promise<Array>} Problems to report, see toReportedProblem
+ */
+async function lintProject(root, config) {
+  const options = {
+    loadModulesGlobs: config.loadModulesGlobs,
+    registerContainerNames: config.registerContainerNames
+  };
+  const index = await buildIndex([{ uri: { fsPath: root } }], config.indexIgnore, null, options);
+
+  const problems = [];
+  for (const problem of findProblems(index)) {
+    const severity = config.rules[problem.code] || problem.severity;
+    if (severity === 'off') continue;
+    problems.push(toReportedProblem({ ...problem, severity }));
+  }
+  return problems;
+}
+
+/**
+ * Run awilix-lint
+ * @param {string[]} argv - Command line arguments, without node and the script
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let args;
+  let config;
+  try {
+    args = parseArgs(argv);
+    if (args.help) {
+      console.log(USAGE);
+      return 0;
+    }
+    if (!fs.existsSync(args.root) || !fs.statSync(args.root).isDirectory()) {
+      throw new UsageError(`Project root ${args.root} is not a directory`);
+    }
+    config = loadConfig(args.root, args.config);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`awilix-lint: ${error.message}\nRun awilix-lint --help for usage.`);
+    return 2;
+  }
+
+  const problems = await lintProject(args.root, config);
+  const version = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'package.json'), 'utf-8')).version;
+  const report = FORMATTERS[args.format](problems, args.root, { version });
+
+  if (args.output) {
+    fs.mkdirSync(path.dirname(path.resolve(args.output)), { recursive: true });
+    fs.writeFileSync(args.output, report);
+  } else if (report) {
+    process.stdout.write(report.endsWith('\n') ? report : `${report}\n`);
+  }
+
+  return problems.some(problem => problem.severity === 'error') ? 1 : 0;
+}
+
+module.exports = {
+  main,
+  lintProject,
+  loadConfig
+};
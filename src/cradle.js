@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+
+const HEADER = '// Generated by Awilix Helper from the container registrations in this workspace. Do not edit.';
+
+/**
+ * Get the module specifier to reference a file from the cradle file
+ * @param {string} cradleFile
+ * @param {string} targetFile
+ * @returns {string}
+ */
+function importSpecifier(cradleFile, targetFile) {
+  const relative = path.relative(path.dirname(cradleFile), targetFile).split(path.sep).join('/');
+  const specifier = relative.replace(/\.(?:[cm]?[jt]s|[jt]sx)$/, '');
+  return specifier.startsWith('.') ? specifier : `./${specifier}`;
+}
+
+/**
+ * Get a type expression for the symbol a key is registered from, e.g.
+ * `import('./services/user').UserService`, or null when it can't be referenced
+ * from another file (inline values, unexported locals)
+ * @param {{exports: Array}} index
+ * @param {any} keyInfo
+ * @param {string} cradleFile
+ * @returns {string|null}
+ */
+function symbolReference(index, keyInfo, cradleFile) {
+  const fileUri = keyInfo.fileUri;
+  const exports = index.exports.filter(entry => entry.uri === fileUri);
+  const registeredLocally = keyInfo.registration && keyInfo.registration.uri === fileUri && keyInfo.source !== 'loadModules';
+
+  // Static and object members, e.g. `UserService.create`, are referenced through what holds them
+  const [holder, ...members] = (keyInfo.exportName || 'default').split('.');
+  const memberPath = members.map(member => `.${member}`).join('');
+
+  let exportName = holder;
+  if (registeredLocally) {
+    // asClass(UserService) with UserService declared in the container file itself
+    const exported = keyInfo.exportName && exports.find(entry => entry.exportName === holder || entry.localName === holder);
+    if (!exported) return null;
+    exportName = exported.exportName;
+  }
+
+  const moduleType = `import('${importSpecifier(cradleFile, fileUri.replace('file://', ''))}')`;
+  if (exportName !== 'default') return `${moduleType}.${exportName}${memberPath}`;
+
+  // `module.exports = X` is the module itself; `export default X` is its default member
+  const isModule = exports.some(entry => entry.esm);
+  return (isModule ? `${moduleType}.default` : moduleType) + memberPath;
+}
+
+/**
+ * Get the JSDoc type of what resolving a key returns
+ * @param {{exports: Array}} index
+ * @param {any} keyInfo
+ * @param {string} cradleFile
+ * @returns {string}
+ */
+function resolvedType(index, keyInfo, cradleFile) {
+  const reference = symbolReference(index, keyInfo, cradleFile);
+  if (!reference) return '*';
+  if (keyInfo.kind === 'class') return `InstanceType<typeof ${reference}>`;
+  if (keyInfo.kind === 'function') return `ReturnType<typeof ${reference}>`;
+  return `typeof ${reference}`;
+}
+
+/**
+ * Generate the content of the cradle typedef file
+ * @param {{keys: Map, exports: Array}} index
+ * @param {string} cradleFile - Absolute path of the file to generate
+ * @param {{isModule?: boolean, keys?: Iterable<any>}} options - isModule writes an ES module; keys limits the registrations included
+ * @returns {string}
+ */
+function generateCradleSource(index, cradleFile, options = {}) {
+  const keyInfos = [...(options.keys || index.keys.values())].sort((a, b) => a.key.localeCompare(b.key));
+
+  const lines = [
+    HEADER,
+    '// @ts-check',
+    '',
+    '/**',
+    ' * Everything registered in the Awilix containers, as seen by `container.cradle`',
+    ' * and by constructors/factories receiving their dependencies destructured.',
+    ' * @typedef {Object} Cradle'
+  ];
+  for (const keyInfo of keyInfos) {
+    const name = /^[A-Za-z_$][\w$]*$/.test(keyInfo.key) ? keyInfo.key : `"${keyInfo.key}"`;
+    lines.push(` * @property {${resolvedType(index, keyInfo, cradleFile)}} ${name}`);
+  }
+  lines.push(' */', '', options.isModule ? 'export {};' : 'module.exports = {};', '');
+
+  return lines.join('\n');
+}
+
+/**
+ * Write the cradle typedef file for a workspace folder, with the keys registered
+ * in that folder. The file is only touched when its content changes, so writing
+ * it does not retrigger the file watcher endlessly.
+ * @param {{keys: Map, exports: Array}} index
+ * @param {string} folderPath - Workspace folder
+ * @param {string} cradlePath - Output path, relative to the folder or absolute
+ * @param {any} logger - Optional logger
+ * @returns {boolean} Whether the file was written
+ */
+function writeCradleFile(index, folderPath, cradlePath, logger) {
+  const cradleFile = path.resolve(folderPath, cradlePath);
+  const inFolder = (uri) => !path.relative(folderPath, uri.replace('file://', '')).startsWith('..');
+  const keys = [...index.keys.values()].filter(keyInfo => !keyInfo.registration || inFolder(keyInfo.registration.uri));
+
+  let isModule = false;
+  try {
+    isModule = JSON.parse(fs.readFileSync(path.join(folderPath, 'package.json'), 'utf-8')).type === 'module';
+  } catch (error) {
+    // No package.json: CommonJS
+  }
+
+  const source = generateCradleSource(index, cradleFile, { isModule, keys });
+
+  try {
+    if (fs.existsSync(cradleFile)) {
+      const current = fs.readFileSync(cradleFile, 'utf-8');
+      if (current === source) return false;
+      if (!current.startsWith(HEADER)) {
+        if (logger) logger.appendLine(`Not overwriting ${cradleFile}: it was not generated by Awilix Helper`);
+        return false;
+      }
+    }
+
+    fs.mkdirSync(path.dirname(cradleFile), { recursive: true });
+    fs.writeFileSync(cradleFile, source);
+    if (logger) logger.appendLine(`Wrote ${keys.length} keys to ${cradleFile}`);
+    return true;
+  } catch (error) {
+    if (logger) logger.appendLine(`ERROR writing ${cradleFile}: ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  generateCradleSource,
+  writeCradleFile
+};
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const { buildIndexSync, isIndexStaleSync, findIndexableFolder, mergeFileIndexes, indexFile, DEFAULT_IGNORE } = require('../indexer');
+const { hashContent, indexDiskFile } = require('../analyzer');
+const { findProblems, PROBLEM_CODES } = require('../problems');
+
+/**
+ * ESLint plugin reporting the problems of the extension's container index.
+ *
+ * The project-wide index is built once and shared by every rule and every
+ * linted file. Files linted in a burst are one lint run; when linting resumes
+ * after a pause (editor integrations keep ESLint running), the index is rebuilt
+ * if files changed on disk in the meantime. The file being linted is indexed
+ * from the source ESLint is given, so unsaved editor content is taken into
+ * account for the run; the next run starts again from the files on disk.
+ *
+ * Settings (`settings.awilix` in the ESLint config), all optional:
+ * `{ root, indexIgnore, loadModulesGlobs, registerContainerNames }`, where root
+ * defaults to the directory ESLint runs in and the others are the extension's settings.
+ */
+
+// Pause between two linted files after which a new lint run starts
+const RUN_GAP_MS = 1000;
+
+// Rule names and the problem codes they report
+const RULE_CODES = {
+  'no-unregistered-key': 'unregistered-key',
+  'no-scoped-only-key': 'scoped-only-key',
+  'no-captive-dependency': 'captive-dependency',
+  'no-circular-dependency': 'circular-dependency',
+  'no-duplicate-registration': 'duplicate-registration'
+};
+
+// Indexed projects, by root and settings
+const projects = new Map();
+
+/**
+ * Get the indexed project a file is linted in, building or rebuilding its index when needed
+ * @param {any} context - ESLint rule context
+ * @returns {{root: string, folders: Array, ignore: string[], options: any, index: any, problems: Map<string, Array>|null, lintedHashes: Map<string, string>, lintedAt: number}}
+ */
+function getProject(context) {
+  const settings = (context.settings && context.settings.awilix) || {};
+  const cwd = context.cwd || (context.getCwd && context.getCwd()) || process.cwd();
+  const root = path.resolve(cwd, settings.root || '.');
+  const ignorePatterns = settings.indexIgnore || [];
+  const options = {
+    loadModulesGlobs: settings.loadModulesGlobs || ['src/**/*.js'],
+    registerContainerNames: settings.registerContainerNames || ['container']
+  };
+
+  const key = JSON.stringify([root, ignorePatterns, options]);
+  const folders = [{ uri: { fsPath: root } }];
+  let project = projects.get(key);
+  const now = Date.now();
+
+  const isNewRun = project && now - project.lintedAt > RUN_GAP_MS;
+  if (!project || (isNewRun && isIndexStaleSync(project.index, folders, ignorePatterns))) {
+    project = {
+      root,
+      folders,
+      ignore: [...DEFAULT_IGNORE, ...ignorePatterns],
+      options,
+      index: buildIndexSync(folders, ignorePatterns, null, options),
+      problems: null,
+      lintedHashes: new Map()
+    };
+    projects.set(key, project);
+  } else if (isNewRun) {
+    restoreLintedFiles(project);
+  }
+
+  project.lintedAt = now;
+  return project;
+}
+
+/**
+ * Index the files a previous run indexed from the source ESLint was given
+ * from disk again: that source may have been an unsaved buffer since discarded
+ * @param {ReturnType<typeof getProject>} project
+ */
+function restoreLintedFiles(project) {
+  if (project.lintedHashes.size === 0) return;
+
+  for (const uri of project.lintedHashes.keys()) {
+    const file = uri.replace('file://', '');
+    try {
+      project.index.files.set(uri, indexDiskFile(file, null, { ...project.options, workspaceRoot: project.root }));
+    } catch {
+      project.index.files.delete(uri);
+    }
+  }
+  project.lintedHashes.clear();
+  mergeFileIndexes(project.index);
+  project.problems = null;
+}
+
+/**
+ * Index the file being linted from the source ESLint is given, when it differs
+ * from what the index was built from
+ * @param {ReturnType<typeof getProject>} project
+ * @param {string} file - Absolute path
+ * @param {string} text
+ * @returns {boolean} Whether the file is part of the project
+ */
+function syncLintedFile(project, file, text) {
+  const uri = 'file://' + file;
+  const fileIndex = project.index.files.get(uri);
+  if (!fileIndex && !(fs.existsSync(file) && findIndexableFolder(file, project.folders, project.ignore))) return false;
+
+  const hash = hashContent(text);
+  const indexedHash = project.lintedHashes.has(uri)
+    ? project.lintedHashes.get(uri)
+    : fileIndex && fileIndex.stamp && fileIndex.stamp.hash;
+  if (hash === indexedHash) return true;
+
+  const updated = indexFile(uri, text, null, { ...project.options, workspaceRoot: project.root });
+  // Keep the stamp of the file on disk, which tells when the index is stale
+  updated.stamp = fileIndex && fileIndex.stamp;
+  project.index.files.set(uri, updated);
+  project.lintedHashes.set(uri, hash);
+  mergeFileIndexes(project.index);
+  project.problems = null;
+  return true;
+}
+
+/**
+ * Get the problems of a file
+ * @param {ReturnType<typeof getProject>} project
+ * @param {string} file - Absolute path
+ * @returns {Array} See findProblems
+ */
+function getFileProblems(project, file) {
+  if (!project.problems) {
+    project.problems = new Map();
+    for (const problem of findProblems(project.index)) {
+      const problemFile = problem.uri.replace('file://', '');
+      if (!project.problems.has(problemFile)) project.problems.set(problemFile, []);
+      project.problems.get(problemFile).push(problem);
+    }
+  }
+  return project.problems.get(file) || [];
+}
+
+/**
+ * Create the rule reporting one problem code
+ * @param {string} code
+ * @returns {any} ESLint rule
+ */
+function createRule(code) {
+  return {
+    meta: {
+      type: 'problem',
+      docs: {
+        description: PROBLEM_CODES[code],
+        url: 'https://github.com/EsteveSegura/awilix-helper#eslint-plugin'
+      },
+      schema: []
+    },
+
+    create(context) {
+      const file = context.filename || context.getFilename();
+      const sourceCode = context.sourceCode || context.getSourceCode();
+
+      return {
+        Program() {
+          if (!path.isAbsolute(file)) return;
+          const project = getProject(context);
+          if (!syncLintedFile(project, file, sourceCode.text)) return;
+
+          for (const problem of getFileProblems(project, file)) {
+            if (problem.code !== code) continue;
+            const { start, end } = problem.range;
+            context.report({
+              loc: {
+                start: { line: start.line + 1, column: start.character },
+                end: { line: end.line + 1, column: end.character }
+              },
+              message: problem.message
+            });
+          }
+        }
+      };
+    }
+  };
+}
+
+const version = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'package.json'), 'utf-8')).version;
+
+const plugin = {
+  meta: { name: 'awilix', version },
+  rules: {},
+  configs: {}
+};
+
+for (const [name, code] of Object.entries(RULE_CODES)) {
+  plugin.rules[name] = createRule(code);
+}
+
+// Flat config: `export default [awilix.configs.recommended]`
+plugin.configs.recommended = {
+  plugins: { awilix: plugin },
+  rules: {
+    'awilix/no-unregistered-key': 'error',
+    'awilix/no-scoped-only-key': 'warn',
+    'awilix/no-captive-dependency': 'warn',
+    'awilix/no-circular-dependency': 'error',
+    'awilix/no-duplicate-registration': 'warn'
+  }
+};
+
+module.exports = plugin;
@@ -1,142 +1,103 @@
 const vscode = require('vscode');
-const { buildIndex, watchWorkspace } = require('./indexer');
-const { definitionProvider } = require('./providers/definition');
-const { completionProvider } = require('./providers/completion');
-const { hoverProvider } = require('./providers/hover');
-const { diagnosticsRunner } = require('./providers/diagnostics');
+const path = require('path');
+const { LanguageClient, TransportKind, ExecuteCommandRequest } = require('vscode-languageclient/node');
+const { COMMANDS, DEPENDENCY_GRAPH_REQUEST, INDEX_CHANGED_NOTIFICATION } = require('./server/protocol');
+const { showDependencyGraph, refreshDependencyGraph } = require('./views/graph');
 
-let index = null;
-let diagnostics = null;
-let outputChannel = null;
+let client = null;
 
 /**
- * Activate the extension
+ * Activate the extension: start the Awilix language server, which does the
+ * indexing and answers the language features, and add the VS Code-only views
  * @param {vscode.ExtensionContext} context
  */
 async function activate(context) {
-  // Create output channel for logs
-  outputChannel = vscode.window.createOutputChannel('Awilix Helper');
+  // Server logs go to the same output channel
+  const outputChannel = vscode.window.createOutputChannel('Awilix Helper');
   context.subscriptions.push(outputChannel);
 
-  outputChannel.appendLine('Awilix Helper extension is now active');
-  console.log('Awilix Helper extension is now active');
-
-  // Get configuration
-  const config = vscode.workspace.getConfiguration('awilixHelper');
-  const ignorePatterns = config.get('indexIgnore', []);
-
-  // Build initial index
-  const workspaceFolders = vscode.workspace.workspaceFolders;
-  if (!workspaceFolders) {
+  if (!vscode.workspace.workspaceFolders) {
     outputChannel.appendLine('No workspace folder found, Awilix Helper will not activate');
     console.log('No workspace folder found, Awilix Helper will not activate');
     return;
   }
 
-  outputChannel.appendLine('Building Awilix index...');
-  console.log('Building Awilix index...');
-  index = await buildIndex(workspaceFolders, ignorePatterns, outputChannel);
-  outputChannel.appendLine(`Indexed ${index.keys.size} Awilix keys`);
-  console.log(`Indexed ${index.keys.size} Awilix keys`);
-
-  // Create diagnostic collection
-  diagnostics = vscode.languages.createDiagnosticCollection('awilix');
-  context.subscriptions.push(diagnostics);
-
-  // Language selector for JavaScript files
-  const selector = [
-    { language: 'javascript', scheme: 'file' },
-    { language: 'javascriptreact', scheme: 'file' }
-  ];
-
-  // Register providers
+  const serverModule = context.asAbsolutePath(path.join('bin', 'awilix-language-server.js'));
+  const serverOptions = {
+    run: { module: serverModule, transport: TransportKind.stdio },
+    debug: { module: serverModule, transport: TransportKind.stdio, options: { execArgv: ['--nolazy', '--inspect=6009'] } }
+  };
+
+  // Language selector for JavaScript and TypeScript files
+  const clientOptions = {
+    documentSelector: [
+      { language: 'javascript', scheme: 'file' },
+      { language: 'javascriptreact', scheme: 'file' },
+      { language: 'typescript', scheme: 'file' },
+      { language: 'typescriptreact', scheme: 'file' }
+    ],
+    synchronize: { configurationSection: 'awilixHelper' },
+    initializationOptions: {
+      storagePath: context.storageUri ? context.storageUri.fsPath : null
+    },
+    outputChannel
+  };
+
+  client = new LanguageClient('awilixHelper', 'Awilix Helper', serverOptions, clientOptions);
+  const executeCommand = (command) => client.sendRequest(ExecuteCommandRequest.type, { command, arguments: [] });
+
+  // Register command to rebuild the index from scratch
   context.subscriptions.push(
-    vscode.languages.registerDefinitionProvider(
-      selector,
-      definitionProvider(() => index)
-    ),
-    vscode.languages.registerCompletionItemProvider(
-      selector,
-      completionProvider(() => index),
-      '.', // Trigger on dot (for cradle.)
-      "'", // Trigger on quote (for resolve(''))
-      '"', // Trigger on double quote
-      '{', // Trigger on opening brace (for constructor({...}))
-      ','  // Trigger on comma (for multiple params in constructor)
-    ),
-    vscode.languages.registerHoverProvider(
-      selector,
-      hoverProvider(() => index)
-    )
+    vscode.commands.registerCommand('awilixHelper.rebuildIndex', () => executeCommand(COMMANDS.rebuildIndex))
   );
 
-  // Run initial diagnostics
-  diagnosticsRunner(index, diagnostics);
-
-  // Watch for file changes
-  const watcher = watchWorkspace(vscode.workspace, async () => {
-    outputChannel.appendLine('Files changed, rebuilding Awilix index...');
-    console.log('Files changed, rebuilding Awilix index...');
-    index = await buildIndex(workspaceFolders, ignorePatterns, outputChannel);
-    console.log(`Re-indexed ${index.keys.size} Awilix keys`);
-    diagnosticsRunner(index, diagnostics);
-  });
-
-  context.subscriptions.push(watcher);
-
-  // Watch for configuration changes
+  // Register command to show index status
   context.subscriptions.push(
-    vscode.workspace.onDidChangeConfiguration(async (e) => {
-      if (e.affectsConfiguration('awilixHelper')) {
-        outputChannel.appendLine('Configuration changed, rebuilding index...');
-        console.log('Configuration changed, rebuilding index...');
-        const newConfig = vscode.workspace.getConfiguration('awilixHelper');
-        const newIgnorePatterns = newConfig.get('indexIgnore', []);
-        index = await buildIndex(workspaceFolders, newIgnorePatterns, outputChannel);
-        diagnosticsRunner(index, diagnostics);
-      }
+    vscode.commands.registerCommand('awilixHelper.showIndexStatus', async () => {
+      const report = await executeCommand(COMMANDS.indexStatus);
+      outputChannel.clear();
+      outputChannel.appendLine(report);
+      outputChannel.show();
     })
   );
 
-  // Register command to show index status
+  // Register command to show the dependency graph
   context.subscriptions.push(
-    vscode.commands.registerCommand('awilixHelper.showIndexStatus', () => {
-      outputChannel.clear();
-      outputChannel.appendLine('=== Awilix Helper - Current Index Status ===\n');
+    vscode.commands.registerCommand('awilixHelper.showDependencyGraph', (focusKey) => {
+      const fetchGraph = (focus) => client.sendRequest(DEPENDENCY_GRAPH_REQUEST, { focus });
+      showDependencyGraph(fetchGraph, typeof focusKey === 'string' ? focusKey : null);
+    })
+  );
 
-      if (!index) {
-        outputChannel.appendLine('Index not built yet');
-        outputChannel.show();
+  // Register command to list the registrations nothing uses
+  context.subscriptions.push(
+    vscode.commands.registerCommand('awilixHelper.listUnusedRegistrations', async () => {
+      const unused = await executeCommand(COMMANDS.listUnusedRegistrations);
+      if (unused.length === 0) {
+        vscode.window.showInformationMessage('Awilix: every registered key is used');
         return;
       }
 
-      outputChannel.appendLine(`Total keys registered: ${index.keys.size}`);
-      outputChannel.appendLine(`Total resolves/usages found: ${index.resolves.length}\n`);
-
-      outputChannel.appendLine('=== Registered Keys ===');
-      for (const [key, meta] of index.keys.entries()) {
-        const fileUri = typeof meta.fileUri === 'string' ? meta.fileUri : meta.fileUri.fsPath;
-        const filePath = fileUri.replace('file://', '');
-        outputChannel.appendLine(`\n• ${key}`);
-        outputChannel.appendLine(`  Kind: ${meta.kind}`);
-        if (meta.lifetime) outputChannel.appendLine(`  Lifetime: ${meta.lifetime}`);
-        outputChannel.appendLine(`  File: ${filePath}`);
-        if (meta.exportName) outputChannel.appendLine(`  Export: ${meta.exportName}`);
-      }
-
-      outputChannel.appendLine('\n=== Usages by Type ===');
-      const usagesByType = {};
-      for (const resolve of index.resolves) {
-        usagesByType[resolve.type] = (usagesByType[resolve.type] || 0) + 1;
-      }
-      for (const [type, count] of Object.entries(usagesByType)) {
-        outputChannel.appendLine(`${type}: ${count}`);
-      }
-
-      outputChannel.show();
+      const picked = await vscode.window.showQuickPick(unused.map(entry => {
+        const location = client.protocol2CodeConverter.asLocation(entry.location);
+        return {
+          label: entry.key,
+          description: entry.container,
+          detail: `${vscode.workspace.asRelativePath(location.uri)}:${location.range.start.line + 1}`,
+          location
+        };
+      }), { placeHolder: `${unused.length} unused registrations`, matchOnDescription: true, matchOnDetail: true });
+      if (!picked) return;
+
+      const editor = await vscode.window.showTextDocument(picked.location.uri);
+      editor.selection = new vscode.Selection(picked.location.range.start, picked.location.range.end);
+      editor.revealRange(picked.location.range, vscode.TextEditorRevealType.InCenter);
     })
   );
 
+  await client.start();
+  context.subscriptions.push(client.onNotification(INDEX_CHANGED_NOTIFICATION, refreshDependencyGraph));
+
   outputChannel.appendLine('Awilix Helper is ready!');
   outputChannel.appendLine('\nRun command "Awilix: Show Index Status" to see detailed information');
   console.log('Awilix Helper is ready!');
@@ -144,9 +105,11 @@ async function activate(context) {
 
 /**
  * Deactivate the extension
+ * @returns {Promise<void>|undefined}
  */
 function deactivate() {
   console.log('Awilix Helper deactivated');
+  return client ? client.stop() : undefined;
 }
 
 module.exports = { activate, deactivate };
@@ -0,0 +1,354 @@
+const path = require('path');
+const { parseJs } = require('./parsers/ast');
+const { buildImportMap, resolveModulePath } = require('./parsers/resolvers');
+const { camelCase } = require('./parsers/evaluate');
+const { getContainerChain } = require('./scopes');
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Suggest registered keys close to a misspelled one, closest first
+ * @param {Iterable<string>} keys
+ * @param {string} key
+ * @param {number} limit
+ * @returns {string[]}
+ */
+function suggestKeys(keys, key, limit = 3) {
+  const maxDistance = Math.max(2, Math.floor(key.length / 3));
+  return [...new Set(keys)]
+    .map(candidate => ({ candidate, distance: editDistance(candidate.toLowerCase(), key.toLowerCase()) }))
+    .filter(({ candidate, distance }) => candidate !== key && distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+}
+
+/**
+ * Convert a key to the class name it would be registered from (`fooService` -> `FooService`)
+ * @param {string} key
+ * @returns {string}
+ */
+function pascalCase(key) {
+  const camel = camelCase(key);
+  return camel.charAt(0).toUpperCase() + camel.slice(1);
+}
+
+/**
+ * Convert a key to kebab-case (`fooService` -> `foo-service`)
+ * @param {string} key
+ * @returns {string}
+ */
+function kebabCase(key) {
+  return camelCase(key).replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+/**
+ * Find a module export that could be registered under a key: `FooService`,
+ * `fooService`, or the default export of `foo-service.js`
+ * @param {{exports: Array}} index
+ * @param {string} key
+ * @returns {{uri: string, exportName: string, localName: string|null, kind: string}|null}
+ */
+function findExportForKey(index, key) {
+  const candidates = index.exports.filter(entry => {
+    if (entry.exportName !== 'default') return camelCase(entry.exportName) === key;
+    if (entry.localName && camelCase(entry.localName) === key) return true;
+    return camelCase(path.basename(entry.uri, path.extname(entry.uri))) === key;
+  });
+
+  // Classes and factories are what a missing service usually is
+  return candidates.find(entry => entry.kind !== 'value') || candidates[0] || null;
+}
+
+/**
+ * Find the register({...}) call to add a key to: one on the container the usage
+ * resolves from (or its nearest ancestor), preferring the file the usage is in
+ * and then the closest file
+ * @param {{registerCalls: Array, containers: Map}} index
+ * @param {string|null} containerId
+ * @param {string} nearUri
+ * @returns {any|null}
+ */
+function findRegisterCall(index, containerId, nearUri) {
+  let candidates = index.registerCalls;
+  if (containerId) {
+    for (const id of getContainerChain(index, containerId)) {
+      const calls = index.registerCalls.filter(call => call.container === id);
+      if (calls.length > 0) {
+        candidates = calls;
+        break;
+      }
+    }
+  }
+
+  const nearDir = path.dirname(nearUri.replace('file://', ''));
+  const distance = (call) => {
+    if (call.uri === nearUri) return -1;
+    return path.relative(nearDir, path.dirname(call.uri.replace('file://', ''))).split(path.sep).filter(Boolean).length;
+  };
+  return [...candidates].sort((a, b) => distance(a) - distance(b))[0] || null;
+}
+
+/**
+ * Get the module specifier to import a file from another one
+ * @param {string} fromFile
+ * @param {string} targetFile
+ * @param {boolean} keepExtension
+ * @returns {string}
+ */
+function moduleSpecifier(fromFile, targetFile, keepExtension) {
+  let specifier = path.relative(path.dirname(fromFile), targetFile).split(path.sep).join('/');
+  if (!keepExtension) {
+    specifier = specifier.replace(/\.(?:[cm]?[jt]s|[jt]sx)$/, '');
+  } else {
+    // ES modules compiled by TypeScript import `.ts` sources by their `.js` output name
+    specifier = specifier.replace(/\.([cm]?)ts$/, '.$1js').replace(/\.tsx$/, '.js');
+  }
+  return specifier.startsWith('.') ? specifier : `./${specifier}`;
+}
+
+/**
+ * Check if an expression is a require() call or a member of one
+ * @param {import('@babel/types').Node|null} node
+ * @returns {boolean}
+ */
+function isRequireCall(node) {
+  if (!node) return false;
+  if (node.type === 'MemberExpression') return isRequireCall(node.object);
+  return node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require';
+}
+
+/**
+ * Get the line a new import/require goes on: after the last top-level import
+ * or require ending before `before`, or after the directives at the top of the
+ * file. A require placed after the code using it would run too late.
+ * @param {import('@babel/types').File} ast
+ * @param {{line: number, character: number}|null} before - Where the imported name is first used
+ * @returns {number}
+ */
+function importInsertLine(ast, before) {
+  let line = ast.program.directives.length > 0
+    ? ast.program.directives[ast.program.directives.length - 1].loc.end.line
+    : 0;
+
+  for (const statement of ast.program.body) {
+    const end = statement.loc.end;
+    if (before && (end.line - 1 > before.line || (end.line - 1 === before.line && end.column > before.character))) break;
+
+    const isImport = statement.type === 'ImportDeclaration' || statement.type === 'TSImportEqualsDeclaration' || (
+      statement.type === 'VariableDeclaration' &&
+      statement.declarations.some(declarator => isRequireCall(declarator.init))
+    );
+    if (isImport) line = statement.loc.end.line;
+  }
+
+  return line;
+}
+
+/**
+ * Parse a file once to plan several imports in it (see planImport)
+ * @param {string} text - Content of the file to edit
+ * @param {string} filePath - Path of the file to edit
+ * @returns {{ast: import('@babel/types').File, importMap: Map}}
+ */
+function parseImports(text, filePath) {
+  const ast = parseJs(text, filePath);
+  return { ast, importMap: buildImportMap(ast, filePath) };
+}
+
+/**
+ * Plan the edit that makes `localName` refer to an export of `targetFile` in a
+ * file, written as an import or require like the file's other imports
+ * @param {string} text - Content of the file to edit
+ * @param {string} filePath - Path of the file to edit
+ * @param {string} targetFile - File that exports the symbol
+ * @param {string} exportName - `default` or a named export
+ * @param {string} localName
+ * @param {{parsed?: ReturnType<typeof parseImports>, before?: {line: number, character: number}}} [options] -
+ *   parsed is the file already parsed; before is where localName is used, which the import must precede
+ * @returns {{edit: {range: any, newText: string}|null}|null} null when localName is already taken by something else
+ */
+function planImport(text, filePath, targetFile, exportName, localName, options = {}) {
+  const { ast, importMap } = options.parsed || parseImports(text, filePath);
+
+  const existing = importMap.get(localName);
+  if (existing) {
+    const sameFile = resolveModulePath(existing.source, filePath) === targetFile;
+    const sameExport = exportName === 'default' ? existing.isDefault : existing.imported === exportName;
+    return sameFile && sameExport ? { edit: null } : null;
+  }
+  if (ast.program.body.some(statement => declaresName(statement, localName))) return null;
+
+  const isModule = ast.program.body.some(statement => statement.type === 'ImportDeclaration');
+  const keepExtension = [...importMap.values()].some(entry => entry.source.startsWith('.') && /\.[cm]?js$/.test(entry.source));
+  const specifier = moduleSpecifier(filePath, targetFile, isModule && keepExtension);
+
+  let statement;
+  if (isModule) {
+    statement = exportName === 'default'
+      ? `import ${localName} from '${specifier}';`
+      : `import { ${exportName === localName ? localName : `${exportName} as ${localName}`} } from '${specifier}';`;
+  } else {
+    statement = exportName === 'default'
+      ? `const ${localName} = require('${specifier}');`
+      : `const { ${exportName === localName ? localName : `${exportName}: ${localName}`} } = require('${specifier}');`;
+  }
+
+  const line = importInsertLine(ast, options.before || null);
+  const position = { line, character: 0 };
+  return { edit: { range: { start: position, end: position }, newText: `${statement}\n` } };
+}
+
+/**
+ * Check if a top-level statement declares a name
+ * @param {import('@babel/types').Node} statement
+ * @param {string} name
+ * @returns {boolean}
+ */
+function declaresName(statement, name) {
+  if (statement.type === 'ExportNamedDeclaration' && statement.declaration) statement = statement.declaration;
+  if (statement.type === 'ClassDeclaration' || statement.type === 'FunctionDeclaration') {
+    return !!statement.id && statement.id.name === name;
+  }
+  if (statement.type === 'VariableDeclaration') {
+    return statement.declarations.some(declarator => declarator.id.type === 'Identifier' && declarator.id.name === name);
+  }
+  return false;
+}
+
+/**
+ * Write a registration property, e.g. `fooService: awilix.asClass(FooService)`
+ * @param {string} key
+ * @param {string} kind - class, function or value
+ * @param {string} localName
+ * @param {string} asXPrefix - Text written before asClass/asFunction, e.g. `awilix.`
+ * @returns {string}
+ */
+function formatRegistration(key, kind, localName, asXPrefix) {
+  const asX = kind === 'class' ? 'asClass' : kind === 'function' ? 'asFunction' : 'asValue';
+  return `${key}: ${asXPrefix}${asX}(${localName})`;
+}
+
+/**
+ * Plan the edit adding `key: asClass(LocalName)` to a register({...}) object,
+ * following the object's layout (one property per line or inline, trailing comma)
+ * @param {string} text - Content of the file containing the register() call
+ * @param {{range: any, lastProperty: any|null, asXPrefix: string}} registerCall
+ * @param {string} key
+ * @param {string} kind - class, function or value
+ * @param {string} localName
+ * @returns {{range: any, newText: string}}
+ */
+function planRegistration(text, registerCall, key, kind, localName) {
+  const lines = text.split(/\r?\n/);
+  const entry = formatRegistration(key, kind, localName, registerCall.asXPrefix);
+  const indentOf = (line) => lines[line].match(/^\s*/)[0];
+  const at = (position) => ({ range: { start: position, end: position } });
+
+  const { range, lastProperty } = registerCall;
+  if (!lastProperty) {
+    const indent = indentOf(range.start.line);
+    return { ...at({ line: range.start.line, character: range.start.character + 1 }), newText: `\n${indent}  ${entry}\n${indent}` };
+  }
+
+  if (lastProperty.start.line === range.start.line) {
+    return { ...at(lastProperty.end), newText: `, ${entry}` };
+  }
+
+  const indent = indentOf(lastProperty.start.line);
+  const rest = lines[lastProperty.end.line].slice(lastProperty.end.character);
+  const trailingComma = rest.match(/^\s*,/);
+  if (trailingComma) {
+    const position = { line: lastProperty.end.line, character: lastProperty.end.character + trailingComma[0].length };
+    return { ...at(position), newText: `\n${indent}${entry},` };
+  }
+  return { ...at(lastProperty.end), newText: `,\n${indent}${entry}` };
+}
+
+/**
+ * Decide where a new class for a key goes and what its file is called, following
+ * the classes already registered in the container (`foo-service.js`,
+ * `fooService.js` or `FooService.js`)
+ * @param {{registrations: Array}} index
+ * @param {string} key
+ * @param {string|null} containerId
+ * @param {string} fallbackDir
+ * @param {string} fallbackExtension - e.g. `.ts` when the container is written in TypeScript
+ * @returns {string} Absolute file path
+ */
+function planClassFile(index, key, containerId, fallbackDir, fallbackExtension = '.js') {
+  const classes = index.registrations.filter(keyInfo =>
+    keyInfo.kind === 'class' && keyInfo.source !== 'loadModules' &&
+    (!containerId || keyInfo.container === containerId));
+
+  const dirs = new Map();
+  const extensions = new Map();
+  const styles = { kebab: 0, camel: 0, pascal: 0 };
+  for (const keyInfo of classes) {
+    const filePath = keyInfo.fileUri.replace('file://', '');
+    const base = path.basename(filePath, path.extname(filePath));
+    dirs.set(path.dirname(filePath), (dirs.get(path.dirname(filePath)) || 0) + 1);
+    extensions.set(path.extname(filePath), (extensions.get(path.extname(filePath)) || 0) + 1);
+    if (base === kebabCase(keyInfo.key) && base.includes('-')) styles.kebab++;
+    else if (base === pascalCase(keyInfo.key)) styles.pascal++;
+    else if (base === keyInfo.key) styles.camel++;
+  }
+
+  const dir = [...dirs].sort((a, b) => b[1] - a[1])[0];
+  const extension = [...extensions].sort((a, b) => b[1] - a[1])[0];
+  const style = Object.entries(styles).sort((a, b) => b[1] - a[1])[0];
+  const base = style[1] === 0 || style[0] === 'kebab' ? kebabCase(key)
+    : style[0] === 'pascal' ? pascalCase(key)
+      : key;
+
+  return path.join(dir ? dir[0] : fallbackDir, `${base}${extension ? extension[0] : fallbackExtension}`);
+}
+
+/**
+ * Source of a new, empty injectable class
+ * @param {string} className
+ * @param {boolean} isModule - Use `export default` instead of `module.exports`
+ * @returns {string}
+ */
+function scaffoldClass(className, isModule) {
+  return [
+    `class ${className} {`,
+    '  constructor() {',
+    '  }',
+    '}',
+    '',
+    isModule ? `export default ${className};` : `module.exports = ${className};`,
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  editDistance,
+  suggestKeys,
+  pascalCase,
+  findExportForKey,
+  findRegisterCall,
+  parseImports,
+  planImport,
+  formatRegistration,
+  planRegistration,
+  planClassFile,
+  scaffoldClass
+};
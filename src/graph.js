@@ -0,0 +1,355 @@
+const { findRegistration, findScopedRegistrations, getOwnerRegistrations, getContainerName } = require('./scopes');
+
+// Longer-lived registrations rank higher; values behave like singletons
+const LIFETIME_RANK = {
+  singleton: 3,
+  scoped: 2,
+  transient: 1
+};
+
+/**
+ * Get the effective lifetime of a registration (Awilix defaults to transient)
+ * @param {{kind: string, lifetime: string|null}} keyInfo
+ * @returns {string}
+ */
+function effectiveLifetime(keyInfo) {
+  if (keyInfo.kind === 'value') return 'singleton';
+  return keyInfo.lifetime || 'transient';
+}
+
+/**
+ * Format a registration as it appears in dependency chains, e.g. `userService (SINGLETON)`
+ * @param {{key: string, kind: string, lifetime: string|null}} keyInfo
+ * @returns {string}
+ */
+function describeNode(keyInfo) {
+  const lifetime = keyInfo.kind === 'value' ? 'VALUE' : effectiveLifetime(keyInfo).toUpperCase();
+  return `${keyInfo.key} (${lifetime})`;
+}
+
+/**
+ * Find the registration a dependency of a registration resolves to: from the
+ * container it lives in, else, unless it is a singleton, from a child scope it
+ * may be resolved from
+ * @param {any} index
+ * @param {any} from - The registration depending on the key
+ * @param {string} key
+ * @returns {any|null}
+ */
+function resolveDependency(index, from, key) {
+  const to = findRegistration(index, key, from.container);
+  if (to || from.lifetime === 'singleton') return to;
+  return findScopedRegistrations(index, key, from.container)[0] || null;
+}
+
+/**
+ * Build the dependency graph between registrations: an edge links each
+ * registration to every key injected into its class/factory or the parent
+ * classes it inherits from, resolved from the container the registration lives in
+ * @param {any} index
+ * @returns {{nodes: Array, edges: Array<{from: any, to: any|null, key: string, ref: any}>}}
+ */
+function buildDependencyGraph(index) {
+  const edges = [];
+  for (const ref of index.resolves) {
+    if (ref.type !== 'constructorInjection' || !ref.owner) continue;
+
+    for (const from of getOwnerRegistrations(index, ref.uri, ref.owner)) {
+      edges.push({ from, to: resolveDependency(index, from, ref.key), key: ref.key, ref });
+    }
+  }
+
+  return { nodes: index.registrations, edges };
+}
+
+/**
+ * Find registrations that capture a shorter-lived dependency (what Awilix's
+ * strict mode rejects at resolve time)
+ * @param {{edges: Array}} graph
+ * @returns {Array<{ref: any, from: any, to: any, chain: string}>}
+ */
+function findLifetimeMismatches(graph) {
+  const mismatches = [];
+  for (const edge of graph.edges) {
+    if (!edge.to) continue;
+    if (LIFETIME_RANK[effectiveLifetime(edge.from)] > LIFETIME_RANK[effectiveLifetime(edge.to)]) {
+      mismatches.push({
+        ref: edge.ref,
+        from: edge.from,
+        to: edge.to,
+        chain: `${describeNode(edge.from)} -> ${describeNode(edge.to)}`
+      });
+    }
+  }
+  return mismatches;
+}
+
+/**
+ * Find dependency cycles (what Awilix reports as a cyclic resolution stack).
+ * Every edge inside a strongly connected component is part of at least one
+ * cycle; each is returned with the shortest cycle through it.
+ * @param {{nodes: Array, edges: Array}} graph
+ * @returns {Array<{edge: any, cycle: any[], edges: any[]}>} cycle lists the registrations, first repeated last
+ */
+function findCycles(graph) {
+  const outgoing = new Map();
+  for (const edge of graph.edges) {
+    if (!edge.to) continue;
+    if (!outgoing.has(edge.from)) outgoing.set(edge.from, []);
+    outgoing.get(edge.from).push(edge);
+  }
+
+  // Tarjan's strongly connected components
+  const indexes = new Map();
+  const lowlinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const component = new Map();
+  let counter = 0;
+
+  const connect = (node) => {
+    indexes.set(node, counter);
+    lowlinks.set(node, counter);
+    counter++;
+    stack.push(node);
+    onStack.add(node);
+
+    for (const edge of outgoing.get(node) || []) {
+      if (!indexes.has(edge.to)) {
+        connect(edge.to);
+        lowlinks.set(node, Math.min(lowlinks.get(node), lowlinks.get(edge.to)));
+      } else if (onStack.has(edge.to)) {
+        lowlinks.set(node, Math.min(lowlinks.get(node), indexes.get(edge.to)));
+      }
+    }
+
+    if (lowlinks.get(node) === indexes.get(node)) {
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.set(member, node);
+      } while (member !== node);
+    }
+  };
+
+  for (const node of outgoing.keys()) {
+    if (!indexes.has(node)) connect(node);
+  }
+
+  // Shortest path back from edge.to to edge.from, staying inside the component
+  const pathBack = (edge) => {
+    const previous = new Map([[edge.to, null]]);
+    const queue = [edge.to];
+    while (queue.length > 0) {
+      const node = queue.shift();
+      if (node === edge.from) break;
+      for (const next of outgoing.get(node) || []) {
+        if (previous.has(next.to) || component.get(next.to) !== component.get(edge.from)) continue;
+        previous.set(next.to, next);
+        queue.push(next.to);
+      }
+    }
+
+    const edges = [];
+    for (let step = previous.get(edge.from); step; step = previous.get(step.from)) {
+      edges.unshift(step);
+    }
+    return edges;
+  };
+
+  const cycles = [];
+  for (const edge of graph.edges) {
+    if (!edge.to || component.get(edge.from) !== component.get(edge.to)) continue;
+    const edges = edge.from === edge.to ? [edge] : [edge, ...pathBack(edge)];
+    cycles.push({ edge, cycle: [edge.from, ...edges.map(e => e.to)], edges });
+  }
+  return cycles;
+}
+
+/**
+ * Serialize the graph into plain nodes and edges for rendering and export.
+ * Node ids are `r<n>`, the position of the registration in `index.registrations`;
+ * dependencies that resolve to nothing become `missing` nodes, one per key, with
+ * ids `m<n>` (keys can't be ids: DOT and Mermaid ids are alphanumeric).
+ * When a focus key is given, only its transitive dependencies and dependents are kept.
+ * @param {any} index
+ * @param {{nodes: Array, edges: Array}} graph
+ * @param {string|null} focusKey
+ * @returns {{nodes: Array<{id: string, key: string, kind: string, lifetime: string|null, container: string, focus: boolean}>, edges: Array<{from: string, to: string, key: string}>}}
+ */
+function toGraphData(index, graph, focusKey = null) {
+  const ids = new Map(graph.nodes.map((keyInfo, i) => [keyInfo, `r${i}`]));
+  const nodes = new Map();
+  const edges = [];
+  const edgeIds = new Set();
+  const missingIds = new Map();
+
+  for (const keyInfo of graph.nodes) {
+    nodes.set(ids.get(keyInfo), {
+      id: ids.get(keyInfo),
+      key: keyInfo.key,
+      kind: keyInfo.kind,
+      lifetime: keyInfo.kind === 'value' ? null : effectiveLifetime(keyInfo),
+      container: getContainerName(index, keyInfo.container),
+      focus: keyInfo.key === focusKey
+    });
+  }
+
+  for (const edge of graph.edges) {
+    const from = ids.get(edge.from);
+    let to = edge.to && ids.get(edge.to);
+    if (!to && missingIds.has(edge.key)) {
+      to = missingIds.get(edge.key);
+    } else if (!to) {
+      to = `m${missingIds.size}`;
+      missingIds.set(edge.key, to);
+      nodes.set(to, { id: to, key: edge.key, kind: 'missing', lifetime: null, container: '', focus: edge.key === focusKey });
+    }
+
+    // Several parameters (or registrations of one class) can produce the same edge
+    const edgeId = `${from}->${to}`;
+    if (edgeIds.has(edgeId)) continue;
+    edgeIds.add(edgeId);
+    edges.push({ from, to, key: edge.key });
+  }
+
+  if (!focusKey) return { nodes: [...nodes.values()], edges };
+
+  // Walk dependencies and dependents of the focused key(s)
+  const walk = (start, next) => {
+    const seen = new Set(start);
+    const queue = [...start];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      for (const edge of edges) {
+        const [from, to] = next(edge);
+        if (from === id && !seen.has(to)) {
+          seen.add(to);
+          queue.push(to);
+        }
+      }
+    }
+    return seen;
+  };
+
+  const focused = [...nodes.values()].filter(node => node.focus).map(node => node.id);
+  const keep = new Set([
+    ...walk(focused, edge => [edge.from, edge.to]),
+    ...walk(focused, edge => [edge.to, edge.from])
+  ]);
+
+  return {
+    nodes: [...nodes.values()].filter(node => keep.has(node.id)),
+    edges: edges.filter(edge => keep.has(edge.from) && keep.has(edge.to))
+  };
+}
+
+/**
+ * Make a node id safe for DOT and Mermaid
+ * @param {string} id
+ * @returns {string}
+ */
+function safeId(id) {
+  return id.replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+/**
+ * Label a node, adding its container when keys repeat across containers
+ * @param {{key: string, container: string}} node
+ * @param {Array} nodes
+ * @returns {string}
+ */
+function nodeLabel(node, nodes) {
+  const repeated = nodes.some(other => other !== node && other.key === node.key);
+  return repeated && node.container ? `${node.key} (${node.container})` : node.key;
+}
+
+/**
+ * Escape a label for a quoted DOT string
+ * @param {string} label
+ * @returns {string}
+ */
+function dotLabel(label) {
+  return label.replace(/[\\"]/g, '\\$&').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Escape a label for a quoted Mermaid node text: the characters that could end
+ * it, and `#` that starts entity codes, become entity codes
+ * @param {string} label
+ * @returns {string}
+ */
+function mermaidLabel(label) {
+  return label.replace(/[#"\]})\n]/g, char => char === '"' ? '#quot;' : `#${char.charCodeAt(0)};`);
+}
+
+const DOT_SHAPES = {
+  singleton: 'shape=box',
+  scoped: 'shape=box, style="rounded,filled"',
+  transient: 'shape=hexagon'
+};
+
+const KIND_COLORS = {
+  class: '#4e79a7',
+  function: '#59a14f',
+  value: '#f28e2b',
+  missing: '#e15759'
+};
+
+/**
+ * Export graph data as Graphviz DOT
+ * @param {{nodes: Array, edges: Array}} data - See toGraphData
+ * @returns {string}
+ */
+function toDot(data) {
+  const lines = ['digraph awilix {', '  rankdir=LR;', '  node [fontname="Helvetica", style=filled, fontcolor=white];'];
+  for (const node of data.nodes) {
+    const shape = DOT_SHAPES[node.lifetime] || 'shape=ellipse';
+    const style = node.kind === 'missing' ? ', style="dashed,filled"' : '';
+    lines.push(`  ${safeId(node.id)} [label="${dotLabel(nodeLabel(node, data.nodes))}", ${shape}${style}, fillcolor="${KIND_COLORS[node.kind]}"];`);
+  }
+  for (const edge of data.edges) {
+    lines.push(`  ${safeId(edge.from)} -> ${safeId(edge.to)};`);
+  }
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Export graph data as a Mermaid flowchart
+ * @param {{nodes: Array, edges: Array}} data - See toGraphData
+ * @returns {string}
+ */
+function toMermaid(data) {
+  const shapes = {
+    singleton: label => `["${label}"]`,
+    scoped: label => `(["${label}"])`,
+    transient: label => `{{"${label}"}}`
+  };
+  const lines = ['flowchart LR'];
+  for (const node of data.nodes) {
+    const shape = shapes[node.lifetime] || (label => `(("${label}"))`);
+    lines.push(`  ${safeId(node.id)}${shape(mermaidLabel(nodeLabel(node, data.nodes)))}:::kind_${node.kind}`);
+  }
+  for (const edge of data.edges) {
+    lines.push(`  ${safeId(edge.from)} --> ${safeId(edge.to)}`);
+  }
+  for (const [kind, color] of Object.entries(KIND_COLORS)) {
+    lines.push(`  classDef kind_${kind} fill:${color},color:#fff`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  resolveDependency,
+  buildDependencyGraph,
+  findLifetimeMismatches,
+  findCycles,
+  toGraphData,
+  toDot,
+  toMermaid,
+  KIND_COLORS,
+  effectiveLifetime,
+  describeNode
+};
@@ -0,0 +1,18 @@
+// Worker thread entry: indexes the files posted by runIndexWorkers (see workers.js)
+const { parentPort, workerData } = require('worker_threads');
+const { indexFile, indexDiskFile } = require('./analyzer');
+
+parentPort.on('message', ({ file, workspaceRoot }) => {
+  const log = [];
+  const logger = workerData.log ? { appendLine: (line) => log.push(line) } : null;
+  const options = { ...workerData.options, workspaceRoot };
+
+  try {
+    const fileIndex = options.overlays && options.overlays.has(file)
+      ? indexFile('file://' + file, options.overlays.get(file), logger, options)
+      : indexDiskFile(file, logger, options);
+    parentPort.postMessage({ file, fileIndex, log });
+  } catch (error) {
+    parentPort.postMessage({ file, error: error.message, log });
+  }
+});
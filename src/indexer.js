@@ -1,218 +1,255 @@
-const vscode = require('vscode');
 const fs = require('fs');
 const fg = require('fast-glob');
 const path = require('path');
-const { parseJs, traverse, isMemberCall, isAwilixAsX, isCradleAccess, getPropName, toRange } = require('./parsers/ast');
-const { buildImportMap, resolveSymbolOrigin } = require('./parsers/resolvers');
+const { SOURCE_EXTENSIONS, SOURCE_GLOB } = require('./parsers/ast');
+const { indexFile, indexDiskFile, hashContent } = require('./analyzer');
+const { runIndexWorkers } = require('./workers');
+const { linkContainers, getRegistrationTargets } = require('./scopes');
 
 /**
- * Analyze a registration call to extract kind, lifetime, and symbol
- * @param {import('@babel/types').Node} node - RHS of the registration property
- * @param {any} path - Babel path
- * @returns {{kind: string, lifetime: string|null, symbolNode: any}}
+ * A workspace folder: a vscode.WorkspaceFolder, or the same shape outside VS Code
+ * @typedef {{uri: {fsPath: string}}} WorkspaceFolder
  */
-function analyzeRegistration(node, path) {
-  const info = { kind: 'value', lifetime: null, symbolNode: null };
-
-  // Handle chained calls like awilix.asClass(X).singleton()
-  let currentNode = node;
-
-  // If it's a chained call expression, traverse down to find the asX call
-  while (currentNode.type === 'CallExpression') {
-    // Check if current node has a lifetime method
-    if (currentNode.callee.type === 'MemberExpression') {
-      const methodName = currentNode.callee.property.name;
-      if (methodName === 'singleton' || methodName === 'scoped' || methodName === 'transient') {
-        info.lifetime = methodName;
-      }
 
-      // Check if this is the asX call
-      if (isAwilixAsX(currentNode.callee)) {
-        const asX = currentNode.callee.property.name;
-        info.kind = asX === 'asClass' ? 'class' : asX === 'asFunction' ? 'function' : 'value';
-        info.symbolNode = currentNode.arguments[0] || null;
-        break;
-      }
+const DEFAULT_IGNORE = [
+  '**/node_modules/**',
+  '**/dist/**',
+  '**/out/**',
+  '**/.git/**',
+  '**/data/**',
+  '**/.vscode/**',
+  '**/.idea/**',
+  '**/test/**',
+  '**/tests/**',
+  '**/*.d.ts',
+  '**/*.d.{mts,cts}',
+  '**/*.{test,spec}.{js,jsx,mjs,cjs,ts,tsx,mts,cts}',
+  '**/coverage/**'
+];
+
+/**
+ * Create an empty index. `files` holds what each file contributes; the other
+ * fields are views merged from it by mergeFileIndexes. `registrations` lists
+ * every registration in registration order, `keyRegistrations` groups them by
+ * key, and `keys` holds the last registration of each key. `inherits` maps a
+ * file to its classes injected through their parent class, and `targets`
+ * (built by linkContainers) a file to the registrations constructing its
+ * classes and functions.
+ * @returns {{files: Map, keys: Map, keyRegistrations: Map, registrations: Array, resolves: Array, containers: Map, containerKeys: Map, inherits: Map, targets: Map, registerCalls: Array, exports: Array}}
+ */
+function createIndex() {
+  return {
+    files: new Map(),
+    keys: new Map(),
+    keyRegistrations: new Map(),
+    registrations: [],
+    resolves: [],
+    containers: new Map(),
+    containerKeys: new Map(),
+    inherits: new Map(),
+    targets: new Map(),
+    registerCalls: [],
+    exports: []
+  };
+}
 
-      // Continue down the chain
-      currentNode = currentNode.callee.object;
-    } else if (isAwilixAsX(currentNode.callee)) {
-      // Direct asX call without chaining
-      const asX = currentNode.callee.property.name;
-      info.kind = asX === 'asClass' ? 'class' : asX === 'asFunction' ? 'function' : 'value';
-      info.symbolNode = currentNode.arguments[0] || null;
-      break;
-    } else {
-      break;
+/**
+ * Rebuild the merged views of the index from the per-file contributions
+ * @param {ReturnType<typeof createIndex>} index
+ */
+function mergeFileIndexes(index) {
+  index.keys = new Map();
+  index.keyRegistrations = new Map();
+  index.registrations = [];
+  index.resolves = [];
+  index.containers = new Map();
+  index.containerKeys = new Map();
+  index.inherits = new Map();
+  index.registerCalls = [];
+  index.exports = [];
+
+  for (const [uri, fileIndex] of index.files) {
+    // Merge keys, grouped by key and container once ordered by linkContainers.
+    // Keys, resolves, containers and register() calls are copied: linkContainers
+    // points them at the container a name stands for, which depends on the other files
+    index.registrations.push(...fileIndex.keys.map(keyInfo => ({ ...keyInfo })));
+
+    // Merge resolves
+    index.resolves.push(...fileIndex.resolves.map(ref => ({ ...ref })));
+
+    // Merge containers
+    for (const containerInfo of fileIndex.containers) {
+      index.containers.set(containerInfo.id, { ...containerInfo });
     }
-  }
 
-  // If not a call expression, it's a direct value
-  if (info.symbolNode === null && node.type !== 'CallExpression') {
-    info.symbolNode = node;
+    // Merge subclasses injected through their parent class
+    if (fileIndex.inherits.length > 0) index.inherits.set(uri, fileIndex.inherits);
+
+    // Merge register() call sites and module exports (used by quick fixes)
+    index.registerCalls.push(...fileIndex.registerCalls.map(call => ({ ...call })));
+    index.exports.push(...fileIndex.exports);
   }
 
-  return info;
+  linkContainers(index);
+}
+
+/**
+ * Store the contribution of one file. Unsaved content that doesn't parse, as
+ * happens mid-edit, keeps the file's last contribution in place instead of
+ * emptying it.
+ * @param {ReturnType<typeof createIndex>} index
+ * @param {string} fileUri
+ * @param {any} fileIndex - Result of indexFile
+ * @param {boolean} isOverlay - Whether it was computed from unsaved content
+ */
+function storeFileIndex(index, fileUri, fileIndex, isOverlay) {
+  if (isOverlay && fileIndex.error && index.files.has(fileUri)) return;
+  index.files.set(fileUri, fileIndex);
 }
 
 /**
- * Index a single file
- * @param {string} fileUri - File URI
- * @param {string} text - File content
+ * Read, parse and store the contribution of one file. Unsaved editor content
+ * in `options.overlays` is used instead of the file on disk; files read from
+ * disk are stamped with their mtime, size and content hash.
+ * @param {ReturnType<typeof createIndex>} index
+ * @param {string} file - Absolute path
+ * @param {string} workspaceRoot - Folder the file belongs to
  * @param {any} logger - Optional logger
- * @returns {{keys: Array, resolves: Array}}
+ * @param {{overlays?: Map<string, string>}} options - Indexing options
  */
-function indexFile(fileUri, text, logger) {
-  const result = { keys: [], resolves: [] };
+function indexWorkspaceFile(index, file, workspaceRoot, logger, options) {
+  const fileUri = 'file://' + file;
+  const isOverlay = Boolean(options.overlays && options.overlays.has(file));
 
   try {
-    const ast = parseJs(text);
-    const importMap = buildImportMap(ast, fileUri.replace('file://', ''));
+    const fileIndex = isOverlay
+      ? indexFile(fileUri, options.overlays.get(file), logger, { ...options, workspaceRoot })
+      : indexDiskFile(file, logger, { ...options, workspaceRoot });
+    storeFileIndex(index, fileUri, fileIndex, isOverlay);
+  } catch (fileError) {
+    index.files.delete(fileUri);
+    if (logger) logger.appendLine(`  ERROR reading file ${file}: ${fileError.message}`);
+  }
+}
 
-    if (logger) {
-      logger.appendLine(`  Parsing: ${fileUri.replace('file://', '')}`);
-    }
+// Below this many files, starting worker threads costs more than it saves
+const WORKER_THRESHOLD = 32;
+
+/**
+ * Read, parse and store the contributions of many files, on worker threads when
+ * there are enough of them. Progress is reported as files complete, and files
+ * not yet started are skipped once `options.token` is cancelled.
+ * @param {ReturnType<typeof createIndex>} index
+ * @param {Array<{file: string, workspaceRoot: string}>} tasks
+ * @param {any} logger - Optional logger
+ * @param {{overlays?: Map<string, string>, workers?: number, token?: {isCancellationRequested: boolean}, onProgress?: Function}} options -
+ *   Indexing options; workers is the number of threads (0 to index on the calling thread)
+ * @returns {Promise<number>} Number of files indexed
+ */
+async function indexWorkspaceFiles(index, tasks, logger, options) {
+  const isCancelled = () => Boolean(options.token && options.token.isCancellationRequested);
+  let done = 0;
+  const report = () => {
+    done++;
+    if (options.onProgress) options.onProgress(done, tasks.length);
+  };
 
-    traverse(ast, {
-      CallExpression(path) {
-        const { callee, arguments: args } = path.node;
-
-        // container.register({ ... })
-        if (isMemberCall(callee, 'register')) {
-          const [obj] = args;
-          if (obj && obj.type === 'ObjectExpression') {
-            for (const prop of obj.properties) {
-              if (prop.type !== 'ObjectProperty') continue;
-
-              const key = getPropName(prop.key);
-              if (!key) continue;
-
-              const regInfo = analyzeRegistration(prop.value, path);
-              const def = resolveSymbolOrigin(fileUri, regInfo.symbolNode, ast, importMap);
-
-              result.keys.push({
-                key,
-                fileUri: def.fileUri,
-                exportName: def.exportName,
-                range: def.range || toRange(prop.key),
-                kind: regInfo.kind,
-                lifetime: regInfo.lifetime
-              });
-
-              if (logger) {
-                logger.appendLine(`    ✓ Registered key: "${key}" (${regInfo.kind}${regInfo.lifetime ? ', ' + regInfo.lifetime : ''})`);
-              }
-            }
-          }
-        }
-
-        // container.resolve('key')
-        if (isMemberCall(callee, 'resolve') && args[0]?.type === 'StringLiteral') {
-          result.resolves.push({
-            uri: fileUri,
-            range: toRange(args[0]),
-            key: args[0].value,
-            type: 'resolveCall'
-          });
-        }
-      },
-
-      MemberExpression(path) {
-        // container.cradle.key
-        if (isCradleAccess(path.node)) {
-          const key = path.node.property.name;
-          result.resolves.push({
-            uri: fileUri,
-            range: toRange(path.node.property),
-            key,
-            type: 'cradleMember'
-          });
-        }
-      },
-
-      // Track constructor dependency injection patterns
-      ClassMethod(path) {
-        if (path.node.kind === 'constructor' && path.node.params.length > 0) {
-          const param = path.node.params[0];
-
-          // Check for destructuring pattern: constructor({key1, key2})
-          if (param.type === 'ObjectPattern') {
-            for (const prop of param.properties) {
-              if (prop.type === 'ObjectProperty' && prop.key.type === 'Identifier') {
-                const key = prop.key.name;
-                result.resolves.push({
-                  uri: fileUri,
-                  range: toRange(prop.key),
-                  key,
-                  type: 'constructorInjection'
-                });
-              }
-            }
-          }
-        }
-      },
-
-      // Also support function constructors (non-class)
-      FunctionDeclaration(path) {
-        if (path.node.params.length > 0) {
-          const param = path.node.params[0];
-
-          if (param.type === 'ObjectPattern') {
-            for (const prop of param.properties) {
-              if (prop.type === 'ObjectProperty' && prop.key.type === 'Identifier') {
-                const key = prop.key.name;
-                result.resolves.push({
-                  uri: fileUri,
-                  range: toRange(prop.key),
-                  key,
-                  type: 'constructorInjection'
-                });
-              }
-            }
-          }
-        }
+  let remaining = tasks;
+  if (options.workers !== 0 && tasks.length >= WORKER_THRESHOLD) {
+    remaining = await runIndexWorkers(tasks, options, Boolean(logger), (task, message) => {
+      const fileUri = 'file://' + task.file;
+      if (logger) message.log.forEach(line => logger.appendLine(line));
+      if (message.fileIndex) {
+        storeFileIndex(index, fileUri, message.fileIndex, Boolean(options.overlays && options.overlays.has(task.file)));
+      } else {
+        index.files.delete(fileUri);
+        if (logger) logger.appendLine(`  ERROR reading file ${task.file}: ${message.error}`);
       }
+      report();
     });
-  } catch (error) {
-    console.error(`Error parsing ${fileUri}:`, error.message);
   }
 
-  return result;
+  for (const [i, task] of remaining.entries()) {
+    if (isCancelled()) break;
+    indexWorkspaceFile(index, task.file, task.workspaceRoot, logger, options);
+    report();
+    // Let other work on the thread through now and then
+    if (i % 20 === 19) await new Promise(resolve => setImmediate(resolve));
+  }
+
+  return done;
+}
+
+/**
+ * Check if a file should be indexed: a source file in a workspace folder that
+ * no ignore pattern matches
+ * @param {string} file - Absolute path
+ * @param {WorkspaceFolder[]} workspaceFolders
+ * @param {string[]} ignore - Glob patterns
+ * @returns {string|null} The folder the file belongs to, or null
+ */
+function findIndexableFolder(file, workspaceFolders, ignore) {
+  for (const folder of workspaceFolders || []) {
+    const relative = path.relative(folder.uri.fsPath, file);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) continue;
+
+    const matches = fg.sync(fg.escapePath(relative.split(path.sep).join('/')), {
+      cwd: folder.uri.fsPath,
+      ignore,
+      onlyFiles: true,
+      suppressErrors: true
+    });
+    return matches.length > 0 && SOURCE_EXTENSIONS.includes(path.extname(file)) ? folder.uri.fsPath : null;
+  }
+  return null;
+}
+
+/**
+ * Get the fast-glob options to find the source files of a workspace folder
+ * @param {string} folderPath
+ * @param {string[]} ignore - Glob patterns
+ * @returns {any}
+ */
+function sourceGlobOptions(folderPath, ignore) {
+  return {
+    cwd: folderPath,
+    absolute: true,
+    ignore,
+    suppressErrors: true,
+    onlyFiles: true,
+    followSymbolicLinks: false
+  };
+}
+
+/**
+ * Find the source files of a workspace folder
+ * @param {string} folderPath
+ * @param {string[]} ignore - Glob patterns
+ * @returns {Promise<string[]>} Absolute paths
+ */
+function findSourceFiles(folderPath, ignore) {
+  return fg(SOURCE_GLOB, sourceGlobOptions(folderPath, ignore));
 }
 
 /**
  * Build index from workspace
- * @param {vscode.WorkspaceFolder[]} workspaceFolders
+ * @param {WorkspaceFolder[]} workspaceFolders
  * @param {string[]} ignorePatterns
  * @param {any} logger - Optional logger
- * @returns {Promise<{keys: Map, resolves: Array}>}
+ * @param {{loadModulesGlobs?: string[], registerContainerNames?: string[], overlays?: Map<string, string>, workers?: number, token?: any, onProgress?: Function}} options -
+ *   Indexing options; overlays maps paths of modified open documents to their unsaved content,
+ *   and workers, token and onProgress are described in indexWorkspaceFiles
+ * @returns {Promise<ReturnType<typeof createIndex>>}
  */
-async function buildIndex(workspaceFolders, ignorePatterns = [], logger) {
-  const index = {
-    keys: new Map(),
-    resolves: []
-  };
+async function buildIndex(workspaceFolders, ignorePatterns = [], logger, options = {}) {
+  const index = createIndex();
 
   if (!workspaceFolders || workspaceFolders.length === 0) {
     if (logger) logger.appendLine('No workspace folders found');
     return index;
   }
 
-  const defaultIgnore = [
-    '**/node_modules/**',
-    '**/dist/**',
-    '**/out/**',
-    '**/.git/**',
-    '**/data/**',
-    '**/.vscode/**',
-    '**/.idea/**',
-    '**/test/**',
-    '**/tests/**',
-    '**/*.test.js',
-    '**/*.spec.js',
-    '**/coverage/**'
-  ];
-  const ignore = [...defaultIgnore, ...ignorePatterns];
+  const ignore = [...DEFAULT_IGNORE, ...ignorePatterns];
 
   if (logger) {
     logger.appendLine('=== Starting Awilix Index Build ===');
@@ -220,49 +257,33 @@ async function buildIndex(workspaceFolders, ignorePatterns = [], logger) {
     logger.appendLine(`Ignore patterns: ${ignore.join(', ')}`);
   }
 
+  const tasks = [];
   for (const folder of workspaceFolders) {
     if (logger) logger.appendLine(`\nScanning folder: ${folder.uri.fsPath}`);
 
     try {
-      const files = await fg('**/*.js', {
-        cwd: folder.uri.fsPath,
-        absolute: true,
-        ignore,
-        suppressErrors: true,
-        onlyFiles: true,
-        followSymbolicLinks: false
-      });
+      const files = await findSourceFiles(folder.uri.fsPath, ignore);
 
-      if (logger) logger.appendLine(`Found ${files.length} JavaScript files`);
+      if (logger) logger.appendLine(`Found ${files.length} JavaScript/TypeScript files`);
 
       if (files.length === 0) {
-        if (logger) logger.appendLine('WARNING: No JavaScript files found. Check if the folder path is correct.');
+        if (logger) logger.appendLine('WARNING: No JavaScript or TypeScript files found. Check if the folder path is correct.');
       }
 
-      for (const file of files) {
-        const fileUri = 'file://' + file;
-
-        try {
-          const text = fs.readFileSync(file, 'utf-8');
-          const fileIndex = indexFile(fileUri, text, logger);
-
-          // Merge keys
-          for (const keyInfo of fileIndex.keys) {
-            index.keys.set(keyInfo.key, keyInfo);
-          }
-
-          // Merge resolves
-          index.resolves.push(...fileIndex.resolves);
-        } catch (fileError) {
-          if (logger) logger.appendLine(`  ERROR reading file ${file}: ${fileError.message}`);
-        }
-      }
+      tasks.push(...files.map(file => ({ file, workspaceRoot: folder.uri.fsPath })));
     } catch (globError) {
       if (logger) logger.appendLine(`ERROR during file search: ${globError.message}`);
       if (logger) logger.appendLine(`Stack: ${globError.stack}`);
     }
   }
 
+  const indexed = await indexWorkspaceFiles(index, tasks, logger, options);
+  mergeFileIndexes(index);
+
+  if (logger && indexed < tasks.length) {
+    logger.appendLine(`\nIndexing cancelled after ${indexed} of ${tasks.length} files`);
+  }
+
   if (logger) {
     logger.appendLine('\n=== Index Build Complete ===');
     logger.appendLine(`Total keys registered: ${index.keys.size}`);
@@ -277,22 +298,241 @@ async function buildIndex(workspaceFolders, ignorePatterns = [], logger) {
 }
 
 /**
- * Watch workspace for changes
- * @param {vscode.workspace} workspace
- * @param {Function} onUpdate - Callback when files change
+ * Update the index after files changed on disk: only the changed files, and
+ * the files whose contribution depends on them (containers imported from a
+ * changed module, modules scanned by loadModules()), are parsed again
+ * @param {ReturnType<typeof createIndex>} index - Updated in place
+ * @param {{changed: Set<string>, created: Set<string>, deleted: Set<string>}} changes - Absolute paths
+ * @param {WorkspaceFolder[]} workspaceFolders
+ * @param {string[]} ignorePatterns
+ * @param {any} logger - Optional logger
+ * @param {{loadModulesGlobs?: string[], registerContainerNames?: string[], overlays?: Map<string, string>, workers?: number, token?: any}} options - Indexing options
+ * @returns {Promise<{uris: Set<string>, keys: Set<string>}>} Files whose contribution changed and keys whose registrations changed
+ */
+async function updateIndex(index, changes, workspaceFolders, ignorePatterns = [], logger, options = {}) {
+  const ignore = [...DEFAULT_IGNORE, ...ignorePatterns];
+  const paths = [...changes.changed, ...changes.created, ...changes.deleted];
+  const affected = { uris: new Set(), keys: new Set() };
+
+  // Deleting a folder reports the folder only
+  const isInside = (file, target) => file === target || file.startsWith(target + path.sep);
+  const stale = new Set();
+  for (const uri of index.files.keys()) {
+    const file = uri.replace('file://', '');
+    if ([...changes.deleted].some(target => isInside(file, target))) stale.add(uri);
+  }
+
+  // Files to parse again: the changed files, then everything depending on them
+  const dependents = new Map();
+  for (const [uri, fileIndex] of index.files) {
+    for (const dependency of fileIndex.dependencies) {
+      if (!dependents.has(dependency)) dependents.set(dependency, new Set());
+      dependents.get(dependency).add(uri);
+    }
+  }
+
+  const queue = paths.map(file => 'file://' + file);
+  queue.push(...stale);
+  // loadModules() globs may match created files or have lost deleted ones
+  if (changes.created.size > 0 || changes.deleted.size > 0) {
+    for (const [uri, fileIndex] of index.files) {
+      if (fileIndex.loadsModules) queue.push(uri);
+    }
+  }
+
+  const dirty = new Set();
+  while (queue.length > 0) {
+    const uri = queue.shift();
+    if (dirty.has(uri)) continue;
+    dirty.add(uri);
+    for (const dependent of dependents.get(uri.replace('file://', '')) || []) queue.push(dependent);
+  }
+
+  const previous = new Map();
+  const tasks = [];
+  for (const uri of dirty) {
+    const file = uri.replace('file://', '');
+    const folder = !stale.has(uri) && fs.existsSync(file) && findIndexableFolder(file, workspaceFolders, ignore);
+
+    if (folder) {
+      tasks.push({ file, workspaceRoot: folder });
+    } else if (!index.files.has(uri)) {
+      continue;
+    }
+    previous.set(uri, index.files.get(uri));
+    if (!folder) index.files.delete(uri);
+  }
+
+  await indexWorkspaceFiles(index, tasks, logger, options);
+
+  const changedKeys = [];
+  for (const [uri, before] of previous) {
+    const after = index.files.get(uri);
+    // Skipped after a cancellation
+    if (before && after === before) continue;
+
+    // Usages in this file, and everything that resolves or injects the keys it
+    // registers (their owners and parent classes included), need checking again
+    affected.uris.add(uri);
+    for (const keyInfo of [...(before ? before.keys : []), ...(after ? after.keys : [])]) {
+      affected.keys.add(keyInfo.key);
+      changedKeys.push(keyInfo);
+    }
+    for (const inherit of [...(before ? before.inherits : []), ...(after ? after.inherits : [])]) {
+      affected.uris.add(inherit.base.fileUri);
+    }
+  }
+
+  mergeFileIndexes(index);
+  for (const keyInfo of changedKeys) {
+    affected.uris.add(keyInfo.fileUri);
+    for (const target of getRegistrationTargets(index, keyInfo)) affected.uris.add(target.fileUri);
+  }
+
+  if (logger) {
+    logger.appendLine(`Re-indexed ${affected.uris.size} files (${[...dirty].length} checked), ${index.keys.size} keys registered`);
+  }
+
+  return affected;
+}
+
+/**
+ * Compare an index with the source files on disk: files whose mtime or size
+ * differ from their stamp are hashed, and only those whose content actually
+ * changed are reported as changed. Stamps of touched but unmodified files are
+ * refreshed.
+ * @param {ReturnType<typeof createIndex>} index
+ * @param {string[]} files - Source files found on disk, absolute paths
+ * @param {{overlays?: Map<string, string>}} options - Indexing options
+ * @returns {{changes: {changed: Set<string>, created: Set<string>, deleted: Set<string>}, upToDate: number}}
  */
-function watchWorkspace(workspace, onUpdate) {
-  const watcher = vscode.workspace.createFileSystemWatcher('**/*.js');
+function diffWithDisk(index, files, options) {
+  const changes = { changed: new Set(), created: new Set(), deleted: new Set() };
+  const found = new Set();
+  let upToDate = 0;
+
+  for (const file of files) {
+    const uri = 'file://' + file;
+    const fileIndex = index.files.get(uri);
+    found.add(uri);
+
+    if (!fileIndex) {
+      changes.created.add(file);
+      continue;
+    }
+    if (!fileIndex.stamp || (options.overlays && options.overlays.has(file))) {
+      changes.changed.add(file);
+      continue;
+    }
+
+    try {
+      const stat = fs.statSync(file);
+      if (stat.mtimeMs === fileIndex.stamp.mtimeMs && stat.size === fileIndex.stamp.size) {
+        upToDate++;
+        continue;
+      }
+
+      // Touched (e.g. by a checkout) but not necessarily modified
+      if (hashContent(fs.readFileSync(file, 'utf-8')) === fileIndex.stamp.hash) {
+        fileIndex.stamp = { ...fileIndex.stamp, mtimeMs: stat.mtimeMs, size: stat.size };
+        upToDate++;
+      } else {
+        changes.changed.add(file);
+      }
+    } catch (error) {
+      changes.deleted.add(file);
+    }
+  }
+
+  for (const uri of index.files.keys()) {
+    if (!found.has(uri)) changes.deleted.add(uri.replace('file://', ''));
+  }
 
-  watcher.onDidChange(() => onUpdate());
-  watcher.onDidCreate(() => onUpdate());
-  watcher.onDidDelete(() => onUpdate());
+  return { changes, upToDate };
+}
+
+/**
+ * Bring an index restored from the cache up to date with the workspace: only
+ * the files whose content changed (plus created, deleted and dependent files)
+ * are parsed again, see diffWithDisk
+ * @param {ReturnType<typeof createIndex>} index - Updated in place
+ * @param {WorkspaceFolder[]} workspaceFolders
+ * @param {string[]} ignorePatterns
+ * @param {any} logger - Optional logger
+ * @param {{loadModulesGlobs?: string[], registerContainerNames?: string[], overlays?: Map<string, string>}} options - Indexing options
+ * @returns {Promise<{uris: Set<string>, keys: Set<string>}>} Same as updateIndex
+ */
+async function revalidateIndex(index, workspaceFolders, ignorePatterns = [], logger, options = {}) {
+  const ignore = [...DEFAULT_IGNORE, ...ignorePatterns];
+  const files = [];
+  for (const folder of workspaceFolders || []) {
+    files.push(...await findSourceFiles(folder.uri.fsPath, ignore));
+  }
+
+  const { changes, upToDate } = diffWithDisk(index, files, options);
+
+  if (logger) {
+    logger.appendLine(`Index cache: ${upToDate} files up to date, ` +
+      `${changes.changed.size} changed, ${changes.created.size} created, ${changes.deleted.size} deleted`);
+  }
+
+  if (changes.changed.size + changes.created.size + changes.deleted.size === 0) {
+    return { uris: new Set(), keys: new Set() };
+  }
+  return updateIndex(index, changes, workspaceFolders, ignorePatterns, logger, options);
+}
+
+/**
+ * Build the index on the calling thread, for callers that can't wait for a
+ * promise (ESLint rules)
+ * @param {WorkspaceFolder[]} workspaceFolders
+ * @param {string[]} ignorePatterns
+ * @param {any} logger - Optional logger
+ * @param {{loadModulesGlobs?: string[], registerContainerNames?: string[], overlays?: Map<string, string>}} options - Indexing options
+ * @returns {ReturnType<typeof createIndex>}
+ */
+function buildIndexSync(workspaceFolders, ignorePatterns = [], logger, options = {}) {
+  const index = createIndex();
+  const ignore = [...DEFAULT_IGNORE, ...ignorePatterns];
+
+  for (const folder of workspaceFolders || []) {
+    for (const file of fg.sync(SOURCE_GLOB, sourceGlobOptions(folder.uri.fsPath, ignore))) {
+      indexWorkspaceFile(index, file, folder.uri.fsPath, logger, options);
+    }
+  }
+
+  mergeFileIndexes(index);
+  return index;
+}
+
+/**
+ * Check whether any source file was changed, created or deleted since the
+ * index was built, on the calling thread
+ * @param {ReturnType<typeof createIndex>} index
+ * @param {WorkspaceFolder[]} workspaceFolders
+ * @param {string[]} ignorePatterns
+ * @returns {boolean}
+ */
+function isIndexStaleSync(index, workspaceFolders, ignorePatterns = []) {
+  const ignore = [...DEFAULT_IGNORE, ...ignorePatterns];
+  const files = [];
+  for (const folder of workspaceFolders || []) {
+    files.push(...fg.sync(SOURCE_GLOB, sourceGlobOptions(folder.uri.fsPath, ignore)));
+  }
 
-  return watcher;
+  const { changes } = diffWithDisk(index, files, {});
+  return changes.changed.size + changes.created.size + changes.deleted.size > 0;
 }
 
 module.exports = {
+  createIndex,
+  mergeFileIndexes,
   buildIndex,
-  watchWorkspace,
+  updateIndex,
+  revalidateIndex,
+  buildIndexSync,
+  isIndexStaleSync,
+  findIndexableFolder,
+  DEFAULT_IGNORE,
   indexFile
 };
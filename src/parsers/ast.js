@@ -1,18 +1,64 @@
 const parser = require('@babel/parser');
 const traverse = require('@babel/traverse').default;
 
+// Extensions of the files that are indexed and tried when resolving imports
+const SOURCE_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs'];
+
+// Glob matching every indexed file (declaration files are excluded separately)
+const SOURCE_GLOB = '**/*.{ts,tsx,mts,cts,js,jsx,mjs,cjs}';
+
+/**
+ * Check if a file is TypeScript (declaration files included)
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isTypeScriptFile(filePath) {
+  return /\.[cm]?tsx?$/.test(filePath || '');
+}
+
 /**
- * Parse JavaScript code into an AST
- * @param {string} text - JavaScript source code
+ * Parse JavaScript or TypeScript code into an AST. The file path picks the
+ * syntax: `.ts`/`.mts`/`.cts` are TypeScript, `.tsx` TypeScript with JSX, and
+ * anything else JavaScript with JSX.
+ * @param {string} text - Source code
+ * @param {string} [filePath] - Path of the file, used to choose the syntax
  * @returns {import('@babel/types').File} AST
  */
-function parseJs(text) {
+function parseJs(text, filePath) {
+  const plugins = ['classProperties', 'dynamicImport', 'topLevelAwait'];
+  if (isTypeScriptFile(filePath)) {
+    // `<T>value` casts and JSX can't be told apart, so only .tsx enables JSX
+    plugins.push('typescript', 'decorators-legacy');
+    if (filePath.endsWith('.tsx')) plugins.push('jsx');
+  } else {
+    plugins.push('jsx');
+  }
+
   return parser.parse(text, {
     sourceType: 'unambiguous',
-    plugins: ['jsx', 'classProperties', 'dynamicImport', 'topLevelAwait']
+    plugins
   });
 }
 
+/**
+ * Strip TypeScript-only wrappers from an expression
+ * (`x as T`, `x satisfies T`, `<T>x`, `x!`) and parentheses
+ * @param {import('@babel/types').Node} node
+ * @returns {import('@babel/types').Node}
+ */
+function unwrapExpression(node) {
+  while (node && (
+    node.type === 'TSAsExpression' ||
+    node.type === 'TSSatisfiesExpression' ||
+    node.type === 'TSTypeAssertion' ||
+    node.type === 'TSNonNullExpression' ||
+    node.type === 'ParenthesizedExpression'
+  )) {
+    node = node.expression;
+  }
+  return node;
+}
+
 /**
  * Check if a node is a member call expression (e.g., container.register)
  * @param {import('@babel/types').Node} callee
@@ -34,6 +80,9 @@ function isMemberCall(callee, methodName) {
  * @returns {boolean}
  */
 function isAwilixAsX(callee) {
+  if (callee.type === 'Identifier') {
+    return callee.name === 'asClass' || callee.name === 'asFunction' || callee.name === 'asValue';
+  }
   if (callee.type !== 'MemberExpression') return false;
   const prop = callee.property;
   return (
@@ -62,6 +111,29 @@ function isCradleAccess(node) {
   return false;
 }
 
+/**
+ * Check if a node is a createContainer() call (e.g., awilix.createContainer())
+ * @param {import('@babel/types').Node} node
+ * @returns {boolean}
+ */
+function isCreateContainerCall(node) {
+  if (!node || node.type !== 'CallExpression') return false;
+  const { callee } = node;
+  return (
+    (callee.type === 'Identifier' && callee.name === 'createContainer') ||
+    isMemberCall(callee, 'createContainer')
+  );
+}
+
+/**
+ * Check if a node is a createScope() call (e.g., container.createScope())
+ * @param {import('@babel/types').Node} node
+ * @returns {boolean}
+ */
+function isCreateScopeCall(node) {
+  return !!node && node.type === 'CallExpression' && isMemberCall(node.callee, 'createScope');
+}
+
 /**
  * Get property name from an object property key
  * @param {import('@babel/types').Node} key
@@ -92,12 +164,33 @@ function toRange(node) {
   };
 }
 
+/**
+ * Get the range of a string literal's content, without its quotes
+ * @param {import('@babel/types').Node} node
+ * @returns {{start: {line: number, character: number}, end: {line: number, character: number}}|null}
+ */
+function toInnerRange(node) {
+  const range = toRange(node);
+  if (!range || (node.type !== 'StringLiteral' && node.type !== 'Literal')) return range;
+  return {
+    start: { line: range.start.line, character: range.start.character + 1 },
+    end: { line: range.end.line, character: range.end.character - 1 }
+  };
+}
+
 module.exports = {
+  SOURCE_EXTENSIONS,
+  SOURCE_GLOB,
+  isTypeScriptFile,
   parseJs,
+  unwrapExpression,
   traverse,
   isMemberCall,
   isAwilixAsX,
   isCradleAccess,
+  isCreateContainerCall,
+  isCreateScopeCall,
   getPropName,
-  toRange
+  toRange,
+  toInnerRange
 };
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const { builtinModules } = require('module');
+const { parseJs, traverse, isCreateContainerCall, isCreateScopeCall, toRange, unwrapExpression } = require('./ast');
+const { buildImportMap, resolveModulePath } = require('./resolvers');
+const { collectExports, isModuleExports } = require('./exports');
+const { evaluateStatic, isPlainObject } = require('./evaluate');
+const { normalizeInjectionMode } = require('./loadModules');
+
+// Containers exported by each module, keyed by file path
+const exportedContainersCache = new Map();
+
+/**
+ * Describe an assignment target as text (e.g., `container`, `this.container`)
+ * @param {import('@babel/types').Node} node
+ * @returns {string|null}
+ */
+function describeTarget(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier') {
+    if (isModuleExports(node)) return null;
+    const object = describeTarget(node.object);
+    return object ? `${object}.${node.property.name}` : node.property.name;
+  }
+  return null;
+}
+
+/**
+ * Check if a variable initializer is a require() call or a member of one
+ * @param {import('@babel/types').Node} init
+ * @returns {boolean}
+ */
+function isRequireInit(init) {
+  if (!init) return false;
+  if (init.type === 'MemberExpression') return isRequireInit(init.object);
+  return (
+    init.type === 'CallExpression' &&
+    init.callee.type === 'Identifier' &&
+    init.callee.name === 'require'
+  );
+}
+
+/**
+ * Create a tracker that decides which receivers in a file are Awilix containers:
+ * results of createContainer()/createScope(), containers imported from other
+ * modules, and variables named in `registerContainerNames`.
+ * @param {string} fileUri - File URI
+ * @param {Map<string, any>} importMap - Imports of the file (see buildImportMap)
+ * @param {{registerContainerNames?: string[], dependencies?: Set<string>}} options - dependencies collects the modules read
+ * @param {Set<string>} visiting - Files being resolved, to break require cycles
+ * @returns {{track: Function, resolve: Function, containers: Array}}
+ */
+function createContainerTracker(fileUri, importMap, options = {}, visiting = new Set()) {
+  const filePath = fileUri.replace('file://', '');
+  const containerNames = options.registerContainerNames || ['container'];
+  const byNode = new Map();
+  const named = new Map();
+  const resolving = new Set();
+  const containers = [];
+
+  const fromCall = (callNode, scope, name) => {
+    if (byNode.has(callNode)) return byNode.get(callNode);
+    if (resolving.has(callNode)) return null;
+
+    let parent = null;
+    if (isCreateScopeCall(callNode)) {
+      resolving.add(callNode);
+      const parentContainer = resolve(callNode.callee.object, scope);
+      resolving.delete(callNode);
+      if (!parentContainer) return null;
+      parent = parentContainer.id;
+    } else if (!isCreateContainerCall(callNode)) {
+      return null;
+    }
+
+    // createContainer({ injectionMode: InjectionMode.CLASSIC }); scopes inherit it
+    let injectionMode = null;
+    if (!parent && callNode.arguments[0]) {
+      const containerOptions = evaluateStatic(callNode.arguments[0], { filePath, scope });
+      if (isPlainObject(containerOptions)) injectionMode = normalizeInjectionMode(containerOptions.injectionMode);
+    }
+
+    const range = toRange(callNode);
+    const record = {
+      id: `${fileUri}:${range.start.line + 1}:${range.start.character + 1}`,
+      name: name || (parent ? 'scope' : 'container'),
+      uri: fileUri,
+      range,
+      parent,
+      kind: parent ? 'scope' : 'root',
+      injectionMode
+    };
+    byNode.set(callNode, record);
+    containers.push(record);
+    return record;
+  };
+
+  const fromName = (name) => {
+    if (!named.has(name)) {
+      const record = { id: `name:${name}`, name, uri: null, range: null, parent: null, kind: 'named', injectionMode: null };
+      named.set(name, record);
+      containers.push(record);
+    }
+    return named.get(name);
+  };
+
+  const resolveImported = (importInfo) => {
+    if (importInfo.isNamespace) return null;
+    const target = resolveModulePath(importInfo.source, filePath);
+    if (!target) return null;
+    if (options.dependencies) options.dependencies.add(target);
+    const exported = getExportedContainers(target, options, visiting);
+    return exported.get(importInfo.imported || 'default') || null;
+  };
+
+  const resolveBinding = (binding, name) => {
+    if (binding.path.isVariableDeclarator()) {
+      const { id, init } = binding.path.node;
+      if (id.type === 'Identifier' && init) {
+        const record = fromCall(init, binding.path.scope, name);
+        if (record) return record;
+      }
+    }
+
+    // let container; container = createContainer();
+    for (const violation of binding.constantViolations) {
+      if (violation.isAssignmentExpression()) {
+        const record = fromCall(violation.node.right, violation.scope, name);
+        if (record) return record;
+      }
+    }
+
+    // const container = require('./container').container
+    const init = binding.path.isVariableDeclarator() && binding.path.node.init;
+    if (init && init.type === 'MemberExpression' && !init.computed && isRequireInit(init.object) &&
+        init.object.type === 'CallExpression' && init.object.arguments[0]?.type === 'StringLiteral') {
+      return resolveImported({ source: init.object.arguments[0].value, imported: init.property.name });
+    }
+
+    const importInfo = importMap.get(name);
+    const isImport = binding.kind === 'module' ||
+      (binding.path.isVariableDeclarator() && isRequireInit(binding.path.node.init));
+    if (importInfo && isImport) return resolveImported(importInfo);
+
+    return null;
+  };
+
+  /**
+   * Resolve the container an expression refers to
+   * @param {import('@babel/types').Node} node
+   * @param {any} scope - Babel scope the expression appears in
+   * @returns {{id: string, name: string, uri: string|null, range: any, parent: string|null, kind: string, injectionMode: string|null}|null}
+   */
+  const resolve = (node, scope) => {
+    node = unwrapExpression(node);
+    if (!node) return null;
+
+    if (node.type === 'Identifier') {
+      const binding = scope && scope.getBinding(node.name);
+      const record = binding ? resolveBinding(binding, node.name) : null;
+      if (record) return record;
+      return containerNames.includes(node.name) ? fromName(node.name) : null;
+    }
+
+    // this.container, req.container
+    if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier') {
+      return containerNames.includes(node.property.name) ? fromName(node.property.name) : null;
+    }
+
+    if (isCreateContainerCall(node) || isCreateScopeCall(node)) {
+      return fromCall(node, scope, null);
+    }
+
+    return null;
+  };
+
+  /**
+   * Record a createContainer()/createScope() call found while traversing
+   * @param {any} callPath - Babel path of the call
+   * @returns {object|null}
+   */
+  const track = (callPath) => {
+    const parent = callPath.parent;
+    let name = null;
+    if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+      name = parent.id.name;
+    } else if (parent.type === 'AssignmentExpression') {
+      name = describeTarget(parent.left);
+    }
+    return fromCall(callPath.node, callPath.scope, name);
+  };
+
+  return { track, resolve, containers };
+}
+
+/**
+ * Find the containers a module exports (`module.exports = container`,
+ * `export default container`, `module.exports = { container }`, ...)
+ * @param {string} filePath - Absolute module path
+ * @param {{registerContainerNames?: string[], overlays?: Map<string, string>}} options - overlays holds unsaved editor content
+ * @param {Set<string>} visiting - Files being resolved, to break require cycles
+ * @returns {Map<string, object>} Export name to container record
+ */
+function getExportedContainers(filePath, options = {}, visiting = new Set()) {
+  const empty = new Map();
+  if (builtinModules.includes(filePath) || filePath.includes('/node_modules/')) return empty;
+  if (visiting.has(filePath)) return empty;
+
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch (e) {
+    return empty;
+  }
+
+  const overlay = options.overlays ? options.overlays.get(filePath) : undefined;
+  const cacheKey = (options.registerContainerNames || []).join(',');
+  const cached = exportedContainersCache.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.cacheKey === cacheKey && cached.overlay === overlay) {
+    return cached.exports;
+  }
+
+  const exported = new Map();
+  visiting.add(filePath);
+
+  try {
+    const ast = parseJs(overlay !== undefined ? overlay : fs.readFileSync(filePath, 'utf-8'), filePath);
+    let programScope = null;
+    traverse(ast, {
+      Program(path) {
+        programScope = path.scope;
+        path.stop();
+      }
+    });
+
+    const tracker = createContainerTracker('file://' + filePath, buildImportMap(ast, filePath), options, visiting);
+    for (const [exportName, entry] of collectExports(ast)) {
+      const node = entry.localName ? { type: 'Identifier', name: entry.localName } : entry.node;
+      const record = tracker.resolve(node, programScope);
+      if (record && record.kind !== 'named') exported.set(exportName, record);
+    }
+  } catch (error) {
+    // Unparseable modules export no containers
+  } finally {
+    visiting.delete(filePath);
+  }
+
+  exportedContainersCache.set(filePath, { mtimeMs: stat.mtimeMs, cacheKey, overlay, exports: exported });
+  return exported;
+}
+
+module.exports = {
+  describeTarget,
+  createContainerTracker,
+  getExportedContainers
+};
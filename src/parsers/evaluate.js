@@ -0,0 +1,329 @@
+const path = require('path');
+const { getPropName } = require('./ast');
+
+/**
+ * Marker returned when an expression cannot be evaluated statically
+ */
+const UNKNOWN = Symbol('unknown');
+
+const MAX_DEPTH = 20;
+
+const AWILIX_REGISTER_FUNCTIONS = new Set(['asClass', 'asFunction', 'asValue']);
+const AWILIX_ENUMS = new Set(['Lifetime', 'InjectionMode']);
+const PATH_FUNCTIONS = new Set(['join', 'resolve', 'normalize', 'dirname', 'basename', 'extname', 'relative']);
+const CASE_FUNCTIONS = new Set(['camelCase', 'camelcase']);
+
+// No repeat() or padStart()/padEnd(): a count in the analyzed code could
+// build a string of any size
+const STRING_METHODS = new Set([
+  'toLowerCase', 'toUpperCase', 'slice', 'substring', 'substr', 'charAt', 'replace', 'replaceAll',
+  'trim', 'trimStart', 'trimEnd', 'concat', 'split',
+  'startsWith', 'endsWith', 'includes', 'indexOf', 'lastIndexOf'
+]);
+const ARRAY_METHODS = new Set(['join', 'slice', 'concat', 'map', 'includes', 'indexOf']);
+
+// Functions created by evaluating inline arrows; only these are ever called
+const staticFunctions = new WeakSet();
+
+/**
+ * Convert a string to camelCase the same way Awilix's `formatName: 'camelCase'` does
+ * @param {string} input
+ * @returns {string}
+ */
+function camelCase(input) {
+  const words = String(input)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z])([A-Z][a-z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+
+  return words
+    .map((word, i) => {
+      const lower = word.toLowerCase();
+      return i === 0 ? lower : lower.charAt(0).toUpperCase() + lower.slice(1);
+    })
+    .join('');
+}
+
+/**
+ * Check if a value is a plain (evaluated) object
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+}
+
+/**
+ * Get the name of a non-computed member property
+ * @param {import('@babel/types').Node} node - MemberExpression
+ * @returns {string|null}
+ */
+function memberName(node) {
+  if (!node.computed && node.property.type === 'Identifier') return node.property.name;
+  if (node.property.type === 'StringLiteral') return node.property.value;
+  return null;
+}
+
+/**
+ * Statically evaluate an expression: literals, arrays, objects, `__dirname`,
+ * `path.join()`-style calls, Awilix enums (`Lifetime.SINGLETON`), const bindings
+ * and simple inline arrow functions. Anything else evaluates to UNKNOWN.
+ * @param {import('@babel/types').Node} node
+ * @param {{filePath: string, workspaceRoot?: string, scope?: any, env?: Map<string, any>, depth?: number}} ctx
+ * @returns {any}
+ */
+function evaluateStatic(node, ctx) {
+  if (!node) return UNKNOWN;
+  const depth = ctx.depth || 0;
+  if (depth > MAX_DEPTH) return UNKNOWN;
+  const next = { ...ctx, depth: depth + 1 };
+
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return node.value;
+
+    case 'NullLiteral':
+      return null;
+
+    case 'RegExpLiteral':
+      return new RegExp(node.pattern, node.flags);
+
+    case 'ParenthesizedExpression':
+    case 'TSAsExpression':
+    case 'TSSatisfiesExpression':
+    case 'TSTypeAssertion':
+    case 'TSNonNullExpression':
+      return evaluateStatic(node.expression, next);
+
+    case 'TemplateLiteral': {
+      let out = '';
+      for (let i = 0; i < node.quasis.length; i++) {
+        out += node.quasis[i].value.cooked;
+        if (i < node.expressions.length) {
+          const value = evaluateStatic(node.expressions[i], next);
+          if (value === UNKNOWN || (value !== null && typeof value === 'object')) return UNKNOWN;
+          out += String(value);
+        }
+      }
+      return out;
+    }
+
+    case 'ArrayExpression': {
+      const out = [];
+      for (const element of node.elements) {
+        if (!element || element.type === 'SpreadElement') return UNKNOWN;
+        const value = evaluateStatic(element, next);
+        if (value === UNKNOWN) return UNKNOWN;
+        out.push(value);
+      }
+      return out;
+    }
+
+    case 'ObjectExpression': {
+      // Unknown property values are kept as UNKNOWN so callers can still read the rest.
+      // No prototype, so a `__proto__` key is only a key
+      const out = Object.create(null);
+      for (const prop of node.properties) {
+        if (prop.type !== 'ObjectProperty') continue;
+        const key = prop.computed ? evaluateStatic(prop.key, next) : getPropName(prop.key);
+        if (typeof key !== 'string') continue;
+        out[key] = evaluateStatic(prop.value, next);
+      }
+      return out;
+    }
+
+    case 'Identifier':
+      return evaluateIdentifier(node, next);
+
+    case 'MemberExpression': {
+      const name = node.computed ? evaluateStatic(node.property, next) : memberName(node);
+      if (typeof name !== 'string' && typeof name !== 'number') return UNKNOWN;
+
+      // Lifetime.SINGLETON, awilix.InjectionMode.CLASSIC
+      const enumName = node.object.type === 'Identifier'
+        ? node.object.name
+        : node.object.type === 'MemberExpression' ? memberName(node.object) : null;
+      if (AWILIX_ENUMS.has(enumName) && typeof name === 'string') return name;
+
+      // awilix.asClass
+      if (AWILIX_REGISTER_FUNCTIONS.has(name) && node.object.type === 'Identifier') {
+        return { register: name };
+      }
+
+      // import.meta.dirname
+      if (node.object.type === 'MetaProperty' && name === 'dirname') return path.dirname(ctx.filePath);
+
+      const object = evaluateStatic(node.object, next);
+      if (typeof object === 'string' || Array.isArray(object)) {
+        return name === 'length' ? object.length : typeof name === 'number' ? object[name] : UNKNOWN;
+      }
+      if (isPlainObject(object) && Object.prototype.hasOwnProperty.call(object, name)) {
+        return object[name];
+      }
+      return UNKNOWN;
+    }
+
+    case 'CallExpression':
+      return evaluateCall(node, next);
+
+    case 'BinaryExpression': {
+      const left = evaluateStatic(node.left, next);
+      const right = evaluateStatic(node.right, next);
+      if (left === UNKNOWN || right === UNKNOWN) return UNKNOWN;
+      if (node.operator === '+' && typeof left !== 'object' && typeof right !== 'object') return left + right;
+      if (node.operator === '===') return left === right;
+      if (node.operator === '!==') return left !== right;
+      return UNKNOWN;
+    }
+
+    case 'LogicalExpression': {
+      const left = evaluateStatic(node.left, next);
+      if (left === UNKNOWN) return UNKNOWN;
+      if (node.operator === '||') return left || evaluateStatic(node.right, next);
+      if (node.operator === '&&') return left && evaluateStatic(node.right, next);
+      if (node.operator === '??') return left ?? evaluateStatic(node.right, next);
+      return UNKNOWN;
+    }
+
+    case 'ConditionalExpression': {
+      const test = evaluateStatic(node.test, next);
+      if (test === UNKNOWN) return UNKNOWN;
+      return evaluateStatic(test ? node.consequent : node.alternate, next);
+    }
+
+    case 'ArrowFunctionExpression':
+    case 'FunctionExpression':
+      return evaluateFunction(node, next);
+
+    default:
+      return UNKNOWN;
+  }
+}
+
+/**
+ * Evaluate an identifier through the local environment, well-known globals
+ * and constant bindings in scope
+ * @param {import('@babel/types').Identifier} node
+ * @param {any} ctx
+ * @returns {any}
+ */
+function evaluateIdentifier(node, ctx) {
+  const { name } = node;
+
+  if (ctx.env && ctx.env.has(name)) return ctx.env.get(name);
+  if (name === '__dirname') return path.dirname(ctx.filePath);
+  if (name === '__filename') return ctx.filePath;
+  if (name === 'undefined') return undefined;
+
+  const binding = ctx.scope && ctx.scope.getBinding(name);
+
+  // asClass / asFunction / asValue, either global or destructured from require('awilix')
+  if (AWILIX_REGISTER_FUNCTIONS.has(name) && (!binding || binding.path.isVariableDeclarator() || binding.kind === 'module')) {
+    return { register: name };
+  }
+
+  if (!binding || !binding.constant || !binding.path.isVariableDeclarator()) return UNKNOWN;
+  const declarator = binding.path.node;
+  if (declarator.id.type !== 'Identifier' || !declarator.init) return UNKNOWN;
+
+  return evaluateStatic(declarator.init, { ...ctx, scope: binding.path.scope });
+}
+
+/**
+ * Evaluate a call to a known-pure function
+ * @param {import('@babel/types').CallExpression} node
+ * @param {any} ctx
+ * @returns {any}
+ */
+function evaluateCall(node, ctx) {
+  const { callee } = node;
+  const args = [];
+  for (const arg of node.arguments) {
+    if (arg.type === 'SpreadElement') return UNKNOWN;
+    const value = evaluateStatic(arg, ctx);
+    if (value === UNKNOWN) return UNKNOWN;
+    args.push(value);
+  }
+
+  if (callee.type === 'Identifier') {
+    if (CASE_FUNCTIONS.has(callee.name) && typeof args[0] === 'string') return camelCase(args[0]);
+    const fn = evaluateStatic(callee, ctx);
+    return staticFunctions.has(fn) ? fn(...args) : UNKNOWN;
+  }
+
+  if (callee.type !== 'MemberExpression') return UNKNOWN;
+  const method = memberName(callee);
+  if (!method) return UNKNOWN;
+
+  // path.join(__dirname, 'services'), process.cwd()
+  if (callee.object.type === 'Identifier') {
+    if (callee.object.name === 'path' && PATH_FUNCTIONS.has(method) && args.every(a => typeof a === 'string')) {
+      return path[method](...args);
+    }
+    if (callee.object.name === 'process' && method === 'cwd' && ctx.workspaceRoot) {
+      return ctx.workspaceRoot;
+    }
+    if (CASE_FUNCTIONS.has(method) && typeof args[0] === 'string') return camelCase(args[0]);
+  }
+
+  const target = evaluateStatic(callee.object, ctx);
+  // Only string and number arguments: a regular expression from the analyzed
+  // code could take any time to match
+  if (typeof target === 'string' && STRING_METHODS.has(method) && args.every(a => typeof a === 'string' || typeof a === 'number')) {
+    return String.prototype[method].apply(target, args);
+  }
+  if (Array.isArray(target) && ARRAY_METHODS.has(method)) {
+    if (method === 'map') {
+      if (!staticFunctions.has(args[0])) return UNKNOWN;
+      const mapped = target.map((item, i) => args[0](item, i));
+      return mapped.includes(UNKNOWN) ? UNKNOWN : mapped;
+    }
+    return Array.prototype[method].apply(target, args);
+  }
+
+  return UNKNOWN;
+}
+
+/**
+ * Turn a simple inline function (expression body or single return) into a
+ * callable that evaluates its body with the parameters bound
+ * @param {import('@babel/types').Node} node
+ * @param {any} ctx
+ * @returns {Function|UNKNOWN}
+ */
+function evaluateFunction(node, ctx) {
+  let body = node.body;
+  if (body.type === 'BlockStatement') {
+    if (body.body.length !== 1 || body.body[0].type !== 'ReturnStatement') return UNKNOWN;
+    body = body.body[0].argument;
+  }
+  if (!node.params.every(p => p.type === 'Identifier')) return UNKNOWN;
+
+  const fn = (...args) => {
+    const env = new Map(ctx.env || []);
+    node.params.forEach((param, i) => env.set(param.name, args[i]));
+    return evaluateStatic(body, { ...ctx, env });
+  };
+  staticFunctions.add(fn);
+  return fn;
+}
+
+/**
+ * Check if a value is a function produced by evaluateStatic
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isStaticFunction(value) {
+  return staticFunctions.has(value);
+}
+
+module.exports = {
+  UNKNOWN,
+  evaluateStatic,
+  isStaticFunction,
+  isPlainObject,
+  camelCase
+};
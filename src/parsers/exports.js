@@ -0,0 +1,285 @@
+const { unwrapExpression } = require('./ast');
+
+/**
+ * Collect the top-level declarations of a module, keyed by local name
+ * @param {import('@babel/types').File} ast
+ * @returns {Map<string, import('@babel/types').Node>}
+ */
+function collectTopLevelDeclarations(ast) {
+  const declarations = new Map();
+
+  for (let statement of ast.program.body) {
+    if ((statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration') &&
+        statement.declaration) {
+      statement = statement.declaration;
+    }
+
+    if ((statement.type === 'ClassDeclaration' || statement.type === 'FunctionDeclaration') && statement.id) {
+      declarations.set(statement.id.name, statement);
+    } else if (statement.type === 'VariableDeclaration') {
+      for (const declarator of statement.declarations) {
+        if (declarator.id.type === 'Identifier' && declarator.init) {
+          declarations.set(declarator.id.name, unwrapExpression(declarator.init));
+        }
+      }
+    }
+  }
+
+  return declarations;
+}
+
+/**
+ * Find the identifier declaring a top-level name, e.g. `UserService` in
+ * `class UserService {}` or `const UserService = class {}`
+ * @param {import('@babel/types').File} ast
+ * @param {string} name
+ * @returns {import('@babel/types').Identifier|null}
+ */
+function findDeclarationId(ast, name) {
+  for (let statement of ast.program.body) {
+    if ((statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration') &&
+        statement.declaration) {
+      statement = statement.declaration;
+    }
+
+    if ((statement.type === 'ClassDeclaration' || statement.type === 'FunctionDeclaration') &&
+        statement.id && statement.id.name === name) {
+      return statement.id;
+    }
+    if (statement.type === 'VariableDeclaration') {
+      const declarator = statement.declarations.find(d => d.id.type === 'Identifier' && d.id.name === name);
+      if (declarator) return declarator.id;
+    }
+  }
+  return null;
+}
+
+/**
+ * Collect the members a class or object can be registered from: static
+ * methods and properties of a class, methods and properties of an object
+ * literal (e.g. `UserService.create`, `factories.makeRepo`)
+ * @param {import('@babel/types').Node} node - Class or object declaration
+ * @returns {Map<string, {key: import('@babel/types').Node, value: import('@babel/types').Node}>}
+ */
+function collectMembers(node) {
+  const members = new Map();
+  if (!node) return members;
+
+  const add = (member, value) => {
+    if (!member.computed && member.key.type === 'Identifier') members.set(member.key.name, { key: member.key, value });
+  };
+
+  if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+    for (const member of node.body.body) {
+      if (!member.static) continue;
+      if (member.type === 'ClassMethod' && member.kind === 'method') add(member, member);
+      else if (member.type === 'ClassProperty' && member.value) add(member, unwrapExpression(member.value));
+    }
+  } else if (node.type === 'ObjectExpression') {
+    for (const member of node.properties) {
+      if (member.type === 'ObjectMethod' && member.kind === 'method') add(member, member);
+      else if (member.type === 'ObjectProperty') add(member, unwrapExpression(member.value));
+    }
+  }
+  return members;
+}
+
+/**
+ * Check if a node is `module.exports` or `exports`
+ * @param {import('@babel/types').Node} node
+ * @returns {boolean}
+ */
+function isModuleExports(node) {
+  if (node.type === 'Identifier') return node.name === 'exports';
+  return (
+    node.type === 'MemberExpression' &&
+    !node.computed &&
+    node.object.type === 'Identifier' &&
+    node.object.name === 'module' &&
+    node.property.type === 'Identifier' &&
+    node.property.name === 'exports'
+  );
+}
+
+/**
+ * Collect what a module exports, following local identifiers to their declarations.
+ * CommonJS `module.exports = X` is reported as the `default` export, and the
+ * properties of `module.exports = { A, B }` as named exports.
+ * @param {import('@babel/types').File} ast
+ * @returns {Map<string, {localName: string|null, node: import('@babel/types').Node}>}
+ */
+function collectExports(ast) {
+  const declarations = collectTopLevelDeclarations(ast);
+  const exportsMap = new Map();
+
+  const addExport = (exportName, node) => {
+    node = unwrapExpression(node);
+    if (!node) return;
+    if (node.type === 'Identifier') {
+      exportsMap.set(exportName, { localName: node.name, node: declarations.get(node.name) || node });
+      return;
+    }
+    const localName = node.id && node.id.type === 'Identifier' ? node.id.name : null;
+    exportsMap.set(exportName, { localName, node });
+  };
+
+  for (const statement of ast.program.body) {
+    if (statement.type === 'ExportDefaultDeclaration') {
+      addExport('default', statement.declaration);
+    } else if (statement.type === 'ExportNamedDeclaration') {
+      const decl = statement.declaration;
+      if (decl && decl.id) {
+        addExport(decl.id.name, decl);
+      } else if (decl && decl.type === 'VariableDeclaration') {
+        for (const declarator of decl.declarations) {
+          if (declarator.id.type === 'Identifier') {
+            addExport(declarator.id.name, declarator.init || declarator.id);
+          }
+        }
+      } else if (!statement.source) {
+        for (const spec of statement.specifiers) {
+          if (spec.type !== 'ExportSpecifier') continue;
+          const exported = spec.exported.type === 'StringLiteral' ? spec.exported.value : spec.exported.name;
+          addExport(exported, spec.local);
+        }
+      }
+    } else if (statement.type === 'TSExportAssignment') {
+      // export = X (TypeScript's module.exports = X)
+      addExport('default', statement.expression);
+    } else if (statement.type === 'ExpressionStatement' &&
+               statement.expression.type === 'AssignmentExpression' &&
+               statement.expression.operator === '=') {
+      const { left, right } = statement.expression;
+
+      // module.exports = X
+      if (isModuleExports(left) && left.type === 'MemberExpression') {
+        if (right.type === 'ObjectExpression') {
+          for (const prop of right.properties) {
+            if (prop.type === 'ObjectProperty' && !prop.computed && prop.key.type === 'Identifier') {
+              addExport(prop.key.name, prop.value);
+            } else if (prop.type === 'ObjectMethod' && !prop.computed && prop.key.type === 'Identifier') {
+              exportsMap.set(prop.key.name, { localName: null, node: prop });
+            }
+          }
+        } else {
+          addExport('default', right);
+        }
+      }
+
+      // exports.X = Y / module.exports.X = Y
+      if (left.type === 'MemberExpression' && !left.computed &&
+          left.property.type === 'Identifier' && isModuleExports(left.object)) {
+        addExport(left.property.name, right);
+      }
+    }
+  }
+
+  return exportsMap;
+}
+
+/**
+ * Check if a declaration node is a class
+ * @param {import('@babel/types').Node} node
+ * @returns {boolean}
+ */
+function isClassNode(node) {
+  return !!node && (node.type === 'ClassDeclaration' || node.type === 'ClassExpression');
+}
+
+/**
+ * Check if a declaration node is a function (including arrows and object methods)
+ * @param {import('@babel/types').Node} node
+ * @returns {boolean}
+ */
+function isFunctionNode(node) {
+  return !!node && (
+    node.type === 'FunctionDeclaration' ||
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression' ||
+    node.type === 'ObjectMethod'
+  );
+}
+
+/**
+ * Get the summary of the JSDoc comment right above a declaration: its text
+ * up to the first blank line or block tag
+ * @param {import('@babel/types').File} ast
+ * @param {import('@babel/types').Node} anchor - Name of the declaration, or the declaration itself
+ * @returns {string|null}
+ */
+function findDocSummary(ast, anchor) {
+  if (!anchor || !anchor.loc) return null;
+  const comment = (ast.comments || []).filter(c =>
+    c.type === 'CommentBlock' && c.value.startsWith('*') && c.end <= anchor.start &&
+    anchor.loc.start.line - c.loc.end.line <= 1
+  ).pop();
+  if (!comment) return null;
+
+  const lines = [];
+  for (const line of comment.value.split('\n').map(l => l.replace(/^\s*\*+\s?/, '').trim())) {
+    if (line.startsWith('@') || (!line && lines.length > 0)) break;
+    if (line) lines.push(line);
+  }
+  return lines.length > 0 ? lines.join(' ') : null;
+}
+
+/**
+ * Write a parameter the way it is declared, without types and default values,
+ * e.g. `{ db, logger: log }`, `name = …` or `...rest`
+ * @param {import('@babel/types').Node} param
+ * @returns {string}
+ */
+function formatParam(param) {
+  switch (param.type) {
+    case 'Identifier':
+      return param.optional ? `${param.name}?` : param.name;
+    case 'AssignmentPattern':
+      return `${formatParam(param.left)} = …`;
+    case 'RestElement':
+      return `...${formatParam(param.argument)}`;
+    case 'ArrayPattern':
+      return `[${param.elements.map(element => element ? formatParam(element) : '').join(', ')}]`;
+    case 'TSParameterProperty':
+      return [param.accessibility, param.readonly && 'readonly', formatParam(param.parameter)].filter(Boolean).join(' ');
+    case 'ObjectPattern': {
+      const properties = param.properties.map(property => {
+        if (property.type === 'RestElement') return formatParam(property);
+        if (property.shorthand) return formatParam(property.value);
+        const key = property.key.type === 'Identifier' ? property.key.name : property.key.type === 'StringLiteral' ? `'${property.key.value}'` : '[…]';
+        return `${key}: ${formatParam(property.value)}`;
+      });
+      return properties.length > 0 ? `{ ${properties.join(', ')} }` : '{}';
+    }
+    default:
+      return '…';
+  }
+}
+
+/**
+ * Describe how a class or function is called, e.g. `constructor({ db, logger })`
+ * or `makeRepo({ db })`
+ * @param {import('@babel/types').Node} node - Class or function declaration
+ * @param {string|null} name - Name of a function, `function` when anonymous
+ * @returns {string|null} null for values and classes without a constructor
+ */
+function describeSignature(node, name) {
+  if (isClassNode(node)) {
+    const constructor = node.body.body.find(member => member.type === 'ClassMethod' && member.kind === 'constructor');
+    return constructor ? `constructor(${constructor.params.map(formatParam).join(', ')})` : null;
+  }
+  if (!isFunctionNode(node) && !(node && node.type === 'ClassMethod')) return null;
+  const fnName = name || (node.id && node.id.name) || 'function';
+  return `${fnName}(${node.params.map(formatParam).join(', ')})`;
+}
+
+module.exports = {
+  collectTopLevelDeclarations,
+  findDeclarationId,
+  collectMembers,
+  collectExports,
+  isModuleExports,
+  isClassNode,
+  isFunctionNode,
+  findDocSummary,
+  describeSignature
+};
@@ -0,0 +1,261 @@
+const path = require('path');
+const fs = require('fs');
+const fg = require('fast-glob');
+const { parseJs, toRange } = require('./ast');
+const { collectExports, isClassNode, isFunctionNode, findDocSummary, describeSignature } = require('./exports');
+const { UNKNOWN, evaluateStatic, isStaticFunction, isPlainObject, camelCase } = require('./evaluate');
+
+const REGISTER_KINDS = {
+  asClass: 'class',
+  asFunction: 'function',
+  asValue: 'value'
+};
+
+/**
+ * Normalize an Awilix lifetime value ('SINGLETON', Lifetime.SCOPED) to the
+ * lowercase form used by the index
+ * @param {any} value
+ * @returns {string|null}
+ */
+function normalizeLifetime(value) {
+  if (typeof value !== 'string') return null;
+  const lifetime = value.toLowerCase();
+  return lifetime === 'singleton' || lifetime === 'scoped' || lifetime === 'transient' ? lifetime : null;
+}
+
+/**
+ * Normalize an Awilix injection mode value ('CLASSIC', InjectionMode.PROXY) to
+ * the lowercase form used by the index
+ * @param {any} value
+ * @returns {string|null}
+ */
+function normalizeInjectionMode(value) {
+  if (typeof value !== 'string') return null;
+  const mode = value.toLowerCase();
+  return mode === 'proxy' || mode === 'classic' ? mode : null;
+}
+
+/**
+ * Normalize the first loadModules argument into a list of patterns with
+ * their per-pattern options, e.g. ['a/*.js', ['b/*.js', Lifetime.SCOPED]]
+ * @param {any} value - Statically evaluated argument
+ * @returns {Array<{glob: string, opts: object|null}>|null} null when not analyzable
+ */
+function normalizePatterns(value) {
+  if (typeof value === 'string') return [{ glob: value, opts: null }];
+  if (!Array.isArray(value)) return null;
+
+  const patterns = [];
+  for (const entry of value) {
+    if (typeof entry === 'string') {
+      patterns.push({ glob: entry, opts: null });
+    } else if (Array.isArray(entry) && typeof entry[0] === 'string') {
+      const opts = typeof entry[1] === 'string' ? { lifetime: entry[1] } : isPlainObject(entry[1]) ? entry[1] : null;
+      patterns.push({ glob: entry[0], opts });
+    } else {
+      return null;
+    }
+  }
+  return patterns;
+}
+
+/**
+ * Build the name formatter from the `formatName` option
+ * @param {any} formatName
+ * @returns {((name: string, descriptor: object) => string)|null} null when not analyzable
+ */
+function resolveFormatter(formatName) {
+  if (formatName === undefined || formatName === null) return name => name;
+  if (formatName === 'camelCase') return camelCase;
+  if (isStaticFunction(formatName)) {
+    return (name, descriptor) => {
+      const result = formatName(name, descriptor);
+      return typeof result === 'string' ? result : null;
+    };
+  }
+  return null;
+}
+
+/**
+ * Find the statically-declared RESOLVER options of a module export, either
+ * `static [RESOLVER] = {...}` in the class body or `X[RESOLVER] = {...}`
+ * @param {import('@babel/types').File} ast
+ * @param {{localName: string|null, node: any}} entry - Export entry
+ * @param {boolean} isDefault
+ * @param {string} filePath
+ * @returns {object|null}
+ */
+function findResolverOptions(ast, entry, isDefault, filePath) {
+  const ctx = { filePath };
+  const isResolverKey = (key) =>
+    (key.type === 'Identifier' && key.name === 'RESOLVER') ||
+    (key.type === 'MemberExpression' && !key.computed && key.property.name === 'RESOLVER');
+
+  if (isClassNode(entry.node)) {
+    for (const member of entry.node.body.body) {
+      if (member.type === 'ClassProperty' && member.static && member.computed && isResolverKey(member.key)) {
+        const value = evaluateStatic(member.value, ctx);
+        return isPlainObject(value) ? value : {};
+      }
+    }
+  }
+
+  for (const statement of ast.program.body) {
+    if (statement.type !== 'ExpressionStatement' || statement.expression.type !== 'AssignmentExpression') continue;
+    const { left, right } = statement.expression;
+    if (left.type !== 'MemberExpression' || !left.computed || !isResolverKey(left.property)) continue;
+
+    const target = left.object;
+    const matchesLocal = entry.localName && target.type === 'Identifier' && target.name === entry.localName;
+    const matchesModule = isDefault && target.type === 'MemberExpression' && !target.computed &&
+      target.object.type === 'Identifier' && target.object.name === 'module' &&
+      target.property.name === 'exports';
+
+    if (matchesLocal || matchesModule) {
+      const value = evaluateStatic(right, ctx);
+      return isPlainObject(value) ? value : {};
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Describe the registrable exports of a module file the way Awilix's
+ * loadModules does: the default export if it is a function or class, plus
+ * any named function/class export carrying a RESOLVER.
+ * @param {string} filePath
+ * @param {Map<string, string>} [overlays] - Unsaved editor content by path
+ * @returns {Array<{name: string, exportName: string, node: any, isClass: boolean, resolver: object|null, doc: string|null, signature: string|null}>}
+ */
+function describeModule(filePath, overlays) {
+  const text = overlays && overlays.has(filePath) ? overlays.get(filePath) : fs.readFileSync(filePath, 'utf-8');
+  const ast = parseJs(text, filePath);
+  const exportsMap = collectExports(ast);
+  const descriptors = [];
+  const moduleName = path.parse(filePath).name;
+
+  for (const [exportName, entry] of exportsMap) {
+    const isDefault = exportName === 'default';
+    const isCallable = isClassNode(entry.node) || isFunctionNode(entry.node);
+    // Unresolvable defaults (re-exports, call results) are assumed to be factories
+    const isOpaque = entry.node.type === 'Identifier' || entry.node.type === 'CallExpression';
+    const resolver = findResolverOptions(ast, entry, isDefault, filePath);
+
+    if (isDefault ? !(isCallable || isOpaque) : !(isCallable && resolver)) continue;
+
+    descriptors.push({
+      name: isDefault ? moduleName : exportName,
+      exportName,
+      node: entry.node,
+      isClass: isClassNode(entry.node),
+      resolver,
+      doc: findDocSummary(ast, entry.node.id || entry.node),
+      signature: describeSignature(entry.node, entry.localName || (isDefault ? null : exportName))
+    });
+  }
+
+  return descriptors;
+}
+
+/**
+ * Statically evaluate a `container.loadModules(globs, options)` call and
+ * expand it into key entries, one per registrable module export
+ * @param {any} callPath - Babel path of the loadModules CallExpression
+ * @param {string} filePath - Absolute path of the file containing the call
+ * @param {{workspaceRoot?: string, loadModulesGlobs?: string[], dependencies?: Set<string>, overlays?: Map<string, string>}} options - dependencies collects the modules read
+ * @param {any} logger - Optional logger
+ * @returns {Array<{key: string, fileUri: string, exportName: string, range: any, kind: string, lifetime: string|null, injectionMode: string|null, doc: string|null, signature: string|null, source: string}>}
+ */
+function analyzeLoadModules(callPath, filePath, options = {}, logger) {
+  const [globsArg, optsArg] = callPath.node.arguments;
+  const workspaceRoot = options.workspaceRoot || path.dirname(filePath);
+  const ctx = { filePath, workspaceRoot, scope: callPath.scope };
+
+  const evaluatedOpts = optsArg ? evaluateStatic(optsArg, ctx) : {};
+  const loadOpts = isPlainObject(evaluatedOpts) ? evaluatedOpts : {};
+
+  // Awilix globs relative to process.cwd() by default, i.e. the project root
+  let cwd = typeof loadOpts.cwd === 'string' ? path.resolve(workspaceRoot, loadOpts.cwd) : workspaceRoot;
+  let patterns = normalizePatterns(evaluateStatic(globsArg, ctx));
+
+  if (!patterns) {
+    patterns = (options.loadModulesGlobs || []).map(glob => ({ glob, opts: null }));
+    cwd = workspaceRoot;
+    if (logger) {
+      logger.appendLine(`    ! loadModules globs are not statically analyzable, falling back to: ${patterns.map(p => p.glob).join(', ')}`);
+    }
+  }
+
+  let formatter = resolveFormatter(loadOpts.formatName);
+  if (!formatter) {
+    formatter = name => name;
+    if (logger) logger.appendLine('    ! loadModules formatName is not statically analyzable, using module names as-is');
+  }
+
+  const resolverOptions = isPlainObject(loadOpts.resolverOptions) ? loadOpts.resolverOptions : {};
+  const keys = [];
+
+  for (const pattern of patterns) {
+    let files = [];
+    try {
+      files = fg.sync(pattern.glob, {
+        cwd,
+        absolute: true,
+        onlyFiles: true,
+        ignore: ['**/node_modules/**'],
+        suppressErrors: true
+      }).sort();
+    } catch (error) {
+      if (logger) logger.appendLine(`    ! Invalid loadModules glob "${pattern.glob}": ${error.message}`);
+      continue;
+    }
+
+    for (const file of files) {
+      if (options.dependencies) options.dependencies.add(file);
+
+      let descriptors;
+      try {
+        descriptors = describeModule(file, options.overlays);
+      } catch (error) {
+        if (logger) logger.appendLine(`    ! Could not analyze module ${file}: ${error.message}`);
+        continue;
+      }
+
+      for (const descriptor of descriptors) {
+        const inline = descriptor.resolver || {};
+        let key = typeof inline.name === 'string' ? inline.name : formatter(descriptor.name, { name: descriptor.name, path: file });
+        if (typeof key !== 'string' || !key) key = descriptor.name;
+
+        // Same precedence as Awilix: resolverOptions < per-pattern options < RESOLVER
+        const regOpts = { ...resolverOptions, ...pattern.opts, ...inline };
+        const register = regOpts.register && REGISTER_KINDS[regOpts.register.register];
+        // An export that can't be followed to a declaration, like the imported
+        // `Impl` of `export default Impl`, points at the export itself
+        const declNode = descriptor.node.id || descriptor.node;
+
+        keys.push({
+          key,
+          fileUri: 'file://' + file,
+          exportName: descriptor.exportName,
+          range: toRange(declNode),
+          kind: register || (descriptor.isClass ? 'class' : 'function'),
+          lifetime: normalizeLifetime(regOpts.lifetime),
+          injectionMode: normalizeInjectionMode(regOpts.injectionMode),
+          doc: descriptor.doc,
+          signature: descriptor.signature,
+          source: 'loadModules'
+        });
+      }
+    }
+  }
+
+  return keys;
+}
+
+module.exports = {
+  analyzeLoadModules,
+  describeModule,
+  normalizeLifetime,
+  normalizeInjectionMode
+};
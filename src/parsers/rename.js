@@ -0,0 +1,162 @@
+const { parseJs, traverse, toRange } = require('./ast');
+
+/**
+ * Key a range by its start position
+ * @param {{start: {line: number, character: number}}} range
+ * @returns {string}
+ */
+function positionKey(range) {
+  return `${range.start.line}:${range.start.character}`;
+}
+
+/**
+ * Compute the edits renaming a local variable and every reference to it.
+ * `return { userService }` keeps its property name.
+ * @param {any} binding - Babel binding
+ * @param {string} newName
+ * @returns {Array<{range: any, newText: string}>}
+ */
+function renameBinding(binding, newName) {
+  const edits = [];
+  const oldName = binding.identifier.name;
+  for (const reference of binding.referencePaths) {
+    const parent = reference.parent;
+    const isShorthandValue = parent.type === 'ObjectProperty' && parent.shorthand && parent.value === reference.node;
+    edits.push({
+      range: toRange(reference.node),
+      newText: isShorthandValue ? `${oldName}: ${newName}` : newName
+    });
+  }
+  for (const assignment of binding.constantViolations) {
+    const left = assignment.node.left;
+    if (assignment.isAssignmentExpression() && left.type === 'Identifier') {
+      edits.push({ range: toRange(left), newText: newName });
+    }
+  }
+  return edits;
+}
+
+/**
+ * Compute the edits renaming `this.<name>` accesses in a class's instance
+ * members, the uses of the field a TypeScript parameter property declares.
+ * Accesses in nested functions and other classes, whose `this` differs, are
+ * left alone.
+ * @param {any} classPath - Babel path of the class
+ * @param {string} oldName
+ * @param {string} newName
+ * @returns {Array<{range: any, newText: string}>}
+ */
+function renameThisMembers(classPath, oldName, newName) {
+  const edits = [];
+  classPath.traverse({
+    'MemberExpression|OptionalMemberExpression'(path) {
+      const { node } = path;
+      if (node.computed || node.object.type !== 'ThisExpression' || node.property.type !== 'Identifier' || node.property.name !== oldName) return;
+
+      // What `this` is: the closest non-arrow function or property initializer
+      const member = path.findParent(parent =>
+        (parent.isFunction() && !parent.isArrowFunctionExpression()) ||
+        parent.isClassProperty() || parent.isClassPrivateProperty() || parent.isStaticBlock());
+      if (member && !member.node.static && member.parentPath.parentPath === classPath) {
+        edits.push({ range: toRange(node.property), newText: newName });
+      }
+    }
+  });
+  return edits;
+}
+
+/**
+ * Compute the edits that rename an injected key where a class or function
+ * asks for it (see indexFile).
+ *
+ * `{ userService: svc }` and `deps.userService` only have the key renamed. A
+ * shorthand `{ userService }` becomes `{ accountService }` when the local is
+ * unused, or when `renameLocals` is set (then every reference to the local is
+ * renamed too); otherwise it is rewritten to `{ accountService: userService }`
+ * so the body keeps working. A CLASSIC parameter `constructor(userService)`
+ * is renamed along with its references, its name being the key; a parameter
+ * property `constructor(private userService)` also has its `this.userService`
+ * accesses renamed. Such a parameter is left alone, and reported in
+ * `conflicts`, when the new name is already declared where it is used.
+ * @param {string} text - File content
+ * @param {Array<{start: {line: number, character: number}}>} keyRanges - Ranges of the injected keys to rename
+ * @param {string} newName
+ * @param {{renameLocals?: boolean, filePath?: string}} options - filePath picks the syntax (see parseJs)
+ * @returns {{edits: Array<{range: any, newText: string}>, conflicts: Array<{start: any, end: any}>}}
+ */
+function renameInjectedKeys(text, keyRanges, newName, options = {}) {
+  const wanted = new Set(keyRanges.map(positionKey));
+  const isWanted = (node) => {
+    const range = toRange(node);
+    return !!range && wanted.has(positionKey(range));
+  };
+  const edits = [];
+  const conflicts = [];
+
+  traverse(parseJs(text, options.filePath), {
+    ObjectProperty(path) {
+      if (!path.parentPath.isObjectPattern()) return;
+      const { node } = path;
+      if (!isWanted(node.key)) return;
+      const keyRange = toRange(node.key);
+
+      if (!node.shorthand) {
+        edits.push({ range: keyRange, newText: newName });
+        return;
+      }
+
+      const local = node.value.type === 'AssignmentPattern' ? node.value.left : node.value;
+      const binding = path.scope.getBinding(local.name);
+      const references = binding ? binding.referencePaths : [];
+      const assignments = binding ? binding.constantViolations : [];
+
+      if (references.length === 0 && assignments.length === 0) {
+        edits.push({ range: keyRange, newText: newName });
+        return;
+      }
+
+      if (!options.renameLocals || path.scope.hasBinding(newName)) {
+        edits.push({ range: keyRange, newText: `${newName}: ${local.name}` });
+        return;
+      }
+
+      edits.push({ range: keyRange, newText: newName }, ...renameBinding(binding, newName));
+    },
+
+    // deps.userService
+    'MemberExpression|OptionalMemberExpression'(path) {
+      const { node } = path;
+      if (!node.computed && node.property.type === 'Identifier' && isWanted(node.property)) {
+        edits.push({ range: toRange(node.property), newText: newName });
+      }
+    },
+
+    // constructor(userService, logger)
+    Function(path) {
+      for (let param of path.node.params) {
+        const isProperty = param.type === 'TSParameterProperty';
+        if (isProperty) param = param.parameter;
+        if (param.type === 'AssignmentPattern') param = param.left;
+        if (param.type !== 'Identifier' || !isWanted(param)) continue;
+
+        const start = toRange(param).start;
+        const nameRange = { start, end: { line: start.line, character: start.character + param.name.length } };
+        // The parameter's name is the key, so it can't be aliased: a name already
+        // taken would clash with it or capture its references
+        const binding = path.scope.getBinding(param.name);
+        const references = binding ? binding.referencePaths : [];
+        if (path.scope.hasBinding(newName) || references.some(reference => reference.scope.hasBinding(newName))) {
+          conflicts.push(nameRange);
+          continue;
+        }
+
+        edits.push({ range: nameRange, newText: newName }, ...(binding ? renameBinding(binding, newName) : []));
+        if (isProperty) edits.push(...renameThisMembers(path.parentPath.parentPath, param.name, newName));
+      }
+    }
+  });
+
+  return { edits, conflicts };
+}
+
+module.exports = { renameInjectedKeys };
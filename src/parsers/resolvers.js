@@ -1,17 +1,18 @@
 const path = require('path');
 const fs = require('fs');
-const { parseJs, traverse } = require('./ast');
+const { builtinModules } = require('module');
+const { parseJs, traverse, toRange, unwrapExpression, SOURCE_EXTENSIONS } = require('./ast');
+const { mapTsconfigPaths } = require('./tsconfig');
+const { collectExports, collectTopLevelDeclarations, collectMembers, findDeclarationId, isClassNode, isFunctionNode, findDocSummary, describeSignature } = require('./exports');
 
 /**
- * Build a map of imports/requires in a file
- * @param {import('@babel/types').File} ast
- * @param {string} currentFilePath
- * @returns {Map<string, {source: string, isDefault: boolean}>}
+ * Create the traversal visitor filling a map of imports/requires, so it can be
+ * merged into another traversal of the same file
+ * @param {Map<string, {source: string, isDefault: boolean}>} imports - Filled in place
+ * @returns {any} Babel visitor
  */
-function buildImportMap(ast, currentFilePath) {
-  const imports = new Map();
-
-  traverse(ast, {
+function importMapVisitor(imports) {
+  return {
     ImportDeclaration(path) {
       const source = path.node.source.value;
       for (const spec of path.node.specifiers) {
@@ -25,6 +26,14 @@ function buildImportMap(ast, currentFilePath) {
       }
     },
 
+    // import x = require('./x') (TypeScript)
+    TSImportEqualsDeclaration(path) {
+      const reference = path.node.moduleReference;
+      if (reference.type === 'TSExternalModuleReference' && reference.expression.type === 'StringLiteral') {
+        imports.set(path.node.id.name, { source: reference.expression.value, isDefault: true });
+      }
+    },
+
     VariableDeclarator(path) {
       // Handle require() calls
       const init = path.node.init;
@@ -52,11 +61,59 @@ function buildImportMap(ast, currentFilePath) {
         }
       }
     }
-  });
+  };
+}
 
+/**
+ * Build a map of imports/requires in a file
+ * @param {import('@babel/types').File} ast
+ * @param {string} currentFilePath
+ * @returns {Map<string, {source: string, isDefault: boolean}>}
+ */
+function buildImportMap(ast, currentFilePath) {
+  const imports = new Map();
+  traverse(ast, importMapVisitor(imports));
   return imports;
 }
 
+// TypeScript lets `./user.js` refer to `./user.ts` (and `.mjs`/`.cjs` to `.mts`/`.cts`)
+const TS_SOURCE_EXTENSIONS = {
+  '.js': ['.ts', '.tsx'],
+  '.jsx': ['.tsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts']
+};
+
+/**
+ * Resolve a path without extension resolution to a file: the path itself,
+ * the path with a source extension, the TypeScript source of a `.js` path,
+ * or the index file of a directory
+ * @param {string} resolved - Absolute path
+ * @returns {string|null}
+ */
+function resolveFile(resolved) {
+  const isFile = (file) => fs.existsSync(file) && fs.statSync(file).isFile();
+
+  if (isFile(resolved)) return resolved;
+
+  for (const ext of SOURCE_EXTENSIONS) {
+    if (isFile(resolved + ext)) return resolved + ext;
+  }
+
+  const ext = path.extname(resolved);
+  for (const tsExt of TS_SOURCE_EXTENSIONS[ext] || []) {
+    const candidate = resolved.slice(0, -ext.length) + tsExt;
+    if (isFile(candidate)) return candidate;
+  }
+
+  for (const indexExt of SOURCE_EXTENSIONS) {
+    const indexPath = path.join(resolved, `index${indexExt}`);
+    if (isFile(indexPath)) return indexPath;
+  }
+
+  return null;
+}
+
 /**
  * Resolve a module path to an absolute file path
  * @param {string} modulePath
@@ -68,20 +125,13 @@ function resolveModulePath(modulePath, fromFile) {
 
   // Handle relative paths
   if (modulePath.startsWith('.')) {
-    const resolved = path.resolve(fromDir, modulePath);
-
-    // Try with extension
-    if (fs.existsSync(resolved)) {
-      if (fs.statSync(resolved).isFile()) return resolved;
-      // Try index.js if directory
-      const indexPath = path.join(resolved, 'index.js');
-      if (fs.existsSync(indexPath)) return indexPath;
-    }
-
-    // Try adding .js extension
-    if (fs.existsSync(resolved + '.js')) return resolved + '.js';
+    return resolveFile(path.resolve(fromDir, modulePath));
+  }
 
-    return null;
+  // tsconfig.json/jsconfig.json `paths` aliases and `baseUrl`
+  for (const candidate of mapTsconfigPaths(modulePath, fromFile)) {
+    const resolved = resolveFile(candidate);
+    if (resolved) return resolved;
   }
 
   // Handle node_modules (basic support)
@@ -94,44 +144,283 @@ function resolveModulePath(modulePath, fromFile) {
 }
 
 /**
- * Resolve the origin of a symbol (identifier) in the code
+ * Tell which export of which module an expression refers to: an imported
+ * binding, `require('./x')`, `require('./x').X`, `ns.X` with `ns` a
+ * namespace import or a required module, or a member of an imported binding
+ * (`UserService.create` is the export `UserService.create`)
+ * @param {import('@babel/types').Node} node
+ * @param {Map<string, {source: string, isDefault: boolean, imported?: string, isNamespace?: boolean}>} importMap
+ * @returns {{source: string, name: string}|null}
+ */
+function followImport(node, importMap) {
+  node = unwrapExpression(node);
+  if (!node) return null;
+
+  const requireSource = (call) => (
+    call.type === 'CallExpression' &&
+    call.callee.type === 'Identifier' &&
+    call.callee.name === 'require' &&
+    call.arguments[0] &&
+    call.arguments[0].type === 'StringLiteral'
+  ) ? call.arguments[0].value : null;
+
+  if (node.type === 'Identifier') {
+    const importInfo = importMap.get(node.name);
+    if (!importInfo || importInfo.isNamespace) return null;
+    return { source: importInfo.source, name: importInfo.imported || 'default' };
+  }
+
+  if (node.type === 'CallExpression') {
+    const source = requireSource(node);
+    return source ? { source, name: 'default' } : null;
+  }
+
+  if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier') {
+    const object = unwrapExpression(node.object);
+    const source = requireSource(object);
+    if (source) return { source, name: node.property.name };
+
+    const importInfo = object.type === 'Identifier' && importMap.get(object.name);
+    if (importInfo && (importInfo.isNamespace || (importInfo.isDefault && !importInfo.imported))) {
+      return { source: importInfo.source, name: node.property.name };
+    }
+    if (importInfo && importInfo.imported) {
+      return { source: importInfo.source, name: `${importInfo.imported}.${node.property.name}` };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get what kind of registration target a declaration is
+ * @param {import('@babel/types').Node} node
+ * @returns {string}
+ */
+function declarationKind(node) {
+  if (isClassNode(node)) return 'class';
+  return isFunctionNode(node) || node.type === 'ClassMethod' ? 'function' : 'value';
+}
+
+/**
+ * Describe a declaration for hovers: its JSDoc summary and signature
+ * @param {import('@babel/types').File} ast
+ * @param {import('@babel/types').Node} node - The declaration
+ * @param {import('@babel/types').Node} anchor - Its name, or the declaration itself
+ * @param {string|null} name - Name it is declared under
+ * @returns {{doc: string|null, signature: string|null}}
+ */
+function documentDeclaration(ast, node, anchor, name) {
+  return { doc: findDocSummary(ast, anchor), signature: describeSignature(node, name) };
+}
+
+/**
+ * Describe the members of a declaration by name (see collectMembers)
+ * @param {import('@babel/types').File} ast
+ * @param {import('@babel/types').Node} node
+ * @returns {Map<string, {range: any, kind: string, doc: string|null, signature: string|null}>}
+ */
+function describeMembers(ast, node) {
+  const members = new Map();
+  for (const [name, member] of collectMembers(node)) {
+    members.set(name, {
+      range: toRange(member.key),
+      kind: declarationKind(member.value),
+      ...documentDeclaration(ast, member.value, member.key, name)
+    });
+  }
+  return members;
+}
+
+// Exports of the modules read while following imports, by path
+const moduleExportsCache = new Map();
+
+/**
+ * Describe what a module exports: the declaration of each export, or the
+ * export of another module it re-exports, and the modules of `export *`
+ * @param {string} filePath
+ * @param {Map<string, string>} [overlays] - Unsaved editor content by path
+ * @returns {{exports: Map<string, {range: any, kind: string, members: Map, doc: string|null, signature: string|null}|{source: string, name: string}>, exportAll: string[]}}
+ */
+function describeModuleExports(filePath, overlays) {
+  const stat = fs.statSync(filePath);
+  const overlay = overlays ? overlays.get(filePath) : undefined;
+  const cached = moduleExportsCache.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.overlay === overlay) return cached.module;
+
+  const ast = parseJs(overlay !== undefined ? overlay : fs.readFileSync(filePath, 'utf-8'), filePath);
+  const importMap = buildImportMap(ast, filePath);
+  const module = { exports: new Map(), exportAll: [] };
+
+  for (const [exportName, entry] of collectExports(ast)) {
+    const followed = followImport(entry.node, importMap);
+    if (followed) {
+      module.exports.set(exportName, followed);
+      continue;
+    }
+    const id = (entry.localName && findDeclarationId(ast, entry.localName)) || entry.node.id || entry.node.key || entry.node;
+    module.exports.set(exportName, {
+      range: toRange(id),
+      kind: declarationKind(entry.node),
+      members: describeMembers(ast, entry.node),
+      ...documentDeclaration(ast, entry.node, id, entry.localName || (exportName === 'default' ? null : exportName))
+    });
+  }
+
+  // export { X as Y } from './x' / export * from './x'
+  for (const statement of ast.program.body) {
+    if (statement.type === 'ExportNamedDeclaration' && statement.source) {
+      for (const spec of statement.specifiers) {
+        const exported = spec.exported.type === 'StringLiteral' ? spec.exported.value : spec.exported.name;
+        if (spec.type === 'ExportSpecifier') {
+          const local = spec.local.type === 'StringLiteral' ? spec.local.value : spec.local.name;
+          module.exports.set(exported, { source: statement.source.value, name: local });
+        } else if (spec.type === 'ExportDefaultSpecifier') {
+          module.exports.set(exported, { source: statement.source.value, name: 'default' });
+        }
+      }
+    } else if (statement.type === 'ExportAllDeclaration' && !statement.exported) {
+      module.exportAll.push(statement.source.value);
+    }
+  }
+
+  moduleExportsCache.set(filePath, { mtimeMs: stat.mtimeMs, overlay, module });
+  return module;
+}
+
+/**
+ * Find the module and export declaring a module's export, following re-exports
+ * @param {string} filePath - Absolute path of the module
+ * @param {string} exportName
+ * @param {{dependencies?: Set<string>, overlays?: Map<string, string>}} options
+ * @param {Set<string>} visiting - Exports being followed, to stop on cycles
+ * @returns {{filePath: string, exportName: string, declaration: {range: any, kind: string, members: Map, doc: string|null, signature: string|null}}|null}
+ */
+function findExport(filePath, exportName, options, visiting) {
+  if (builtinModules.includes(filePath) || filePath.includes('/node_modules/')) return null;
+  const id = `${filePath}#${exportName}`;
+  if (visiting.has(id)) return null;
+  visiting.add(id);
+
+  if (options.dependencies) options.dependencies.add(filePath);
+  let module;
+  try {
+    module = describeModuleExports(filePath, options.overlays);
+  } catch (error) {
+    return null;
+  }
+
+  const follow = (source, name) => {
+    const target = resolveModulePath(source, filePath);
+    return target ? findExport(target, name, options, visiting) : null;
+  };
+
+  const entry = module.exports.get(exportName);
+  if (entry && entry.source) return follow(entry.source, entry.name);
+  if (entry) return { filePath, exportName, declaration: entry };
+
+  // `export *` never re-exports the default export
+  if (exportName === 'default') return null;
+  for (const source of module.exportAll) {
+    const found = follow(source, exportName);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Find the declaration of a module's export, following re-exports through
+ * barrels until the module declaring it. `X.member` names a static member of
+ * the exported class or object X; a name the module doesn't export may be a
+ * member of its default export, like `require('./x').X` with
+ * `module.exports = factories`.
+ * @param {string} filePath - Absolute path of the module
+ * @param {string} exportName - Export name, `default` for `module.exports = X`
+ * @param {{dependencies?: Set<string>, overlays?: Map<string, string>}} options - dependencies collects the modules read
+ * @returns {{fileUri: string, exportName: string, range: any, kind: string, doc: string|null, signature: string|null}|null}
+ */
+function findExportedDeclaration(filePath, exportName, options = {}) {
+  let [name, member] = exportName.split('.');
+  let found = findExport(filePath, name, options, new Set());
+  if (!found && !member && name !== 'default') {
+    member = name;
+    found = findExport(filePath, 'default', options, new Set());
+  }
+  if (!found) return null;
+
+  const fileUri = 'file://' + found.filePath;
+  const declaration = member ? found.declaration.members.get(member) : found.declaration;
+  if (!declaration) return null;
+  return {
+    fileUri,
+    exportName: member ? `${found.exportName}.${member}` : found.exportName,
+    range: declaration.range,
+    kind: declaration.kind,
+    doc: declaration.doc,
+    signature: declaration.signature
+  };
+}
+
+/**
+ * Resolve the origin of a symbol (identifier) in the code: the declaration of
+ * an imported symbol is found in the module declaring it, following barrels
  * @param {string} currentFileUri - Current file URI as string
  * @param {import('@babel/types').Node} symbolNode - The symbol node to resolve
  * @param {import('@babel/types').File} ast - The AST of the current file
  * @param {Map<string, {source: string, isDefault: boolean}>} importMap - Map of imports
- * @returns {{fileUri: string, exportName: string|null, range: any, kind: string}}
+ * @param {{dependencies?: Set<string>, overlays?: Map<string, string>}} options - dependencies collects the modules read
+ * @returns {{fileUri: string, exportName: string|null, range: any, kind: string, doc: string|null, signature: string|null}}
+ *   doc and signature describe the declaration when found (see documentDeclaration)
  */
-function resolveSymbolOrigin(currentFileUri, symbolNode, ast, importMap) {
+function resolveSymbolOrigin(currentFileUri, symbolNode, ast, importMap, options = {}) {
   const currentFilePath = currentFileUri.replace('file://', '');
 
-  // If symbolNode is an Identifier, check if it's imported
-  if (symbolNode && symbolNode.type === 'Identifier') {
-    const name = symbolNode.name;
-    const importInfo = importMap.get(name);
-
-    if (importInfo) {
-      // It's imported, try to resolve the source file
-      const resolvedPath = resolveModulePath(importInfo.source, currentFilePath);
-
-      if (resolvedPath) {
-        return {
-          fileUri: 'file://' + resolvedPath,
-          exportName: importInfo.imported || null,
-          range: null, // We'd need to parse the target file to get the exact range
-          kind: 'unknown'
-        };
-      }
+  // Imported: find the declaration in the module exporting it
+  const imported = symbolNode && followImport(symbolNode, importMap);
+  if (imported) {
+    const resolvedPath = resolveModulePath(imported.source, currentFilePath);
+    if (resolvedPath) {
+      const declaration = findExportedDeclaration(resolvedPath, imported.name, options);
+      if (declaration) return declaration;
+
+      // Not found (e.g. a computed export): the start of the module
+      return {
+        fileUri: 'file://' + resolvedPath,
+        exportName: imported.name,
+        range: { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } },
+        kind: 'unknown',
+        doc: null,
+        signature: null
+      };
     }
+  }
 
-    // Not imported or couldn't resolve, return local position
+  // A static member of a class or object declared in this file: `UserService.create`
+  if (symbolNode && symbolNode.type === 'MemberExpression' && !symbolNode.computed &&
+      symbolNode.object.type === 'Identifier' && symbolNode.property.type === 'Identifier') {
+    const holder = collectTopLevelDeclarations(ast).get(symbolNode.object.name);
+    const member = holder && collectMembers(holder).get(symbolNode.property.name);
+    if (member) {
+      return {
+        fileUri: currentFileUri,
+        exportName: `${symbolNode.object.name}.${symbolNode.property.name}`,
+        range: toRange(member.key),
+        kind: declarationKind(member.value),
+        ...documentDeclaration(ast, member.value, member.key, symbolNode.property.name)
+      };
+    }
+  }
+
+  // Declared in this file, or couldn't resolve: the local declaration or position
+  if (symbolNode && symbolNode.type === 'Identifier') {
+    const id = findDeclarationId(ast, symbolNode.name) || symbolNode;
+    const declaration = collectTopLevelDeclarations(ast).get(symbolNode.name);
     return {
       fileUri: currentFileUri,
-      exportName: name,
-      range: symbolNode.loc ? {
-        start: { line: symbolNode.loc.start.line - 1, character: symbolNode.loc.start.column },
-        end: { line: symbolNode.loc.end.line - 1, character: symbolNode.loc.end.column }
-      } : null,
-      kind: 'unknown'
+      exportName: symbolNode.name,
+      range: toRange(id),
+      kind: 'unknown',
+      ...(declaration ? documentDeclaration(ast, declaration, id, symbolNode.name) : { doc: null, signature: null })
     };
   }
 
@@ -139,16 +428,16 @@ function resolveSymbolOrigin(currentFileUri, symbolNode, ast, importMap) {
   return {
     fileUri: currentFileUri,
     exportName: null,
-    range: symbolNode && symbolNode.loc ? {
-      start: { line: symbolNode.loc.start.line - 1, character: symbolNode.loc.start.column },
-      end: { line: symbolNode.loc.end.line - 1, character: symbolNode.loc.end.column }
-    } : null,
-    kind: 'value'
+    range: symbolNode ? toRange(symbolNode) : null,
+    kind: 'value',
+    ...(symbolNode ? documentDeclaration(ast, symbolNode, symbolNode, null) : { doc: null, signature: null })
   };
 }
 
 module.exports = {
   buildImportMap,
+  importMapVisitor,
   resolveModulePath,
+  findExportedDeclaration,
   resolveSymbolOrigin
 };
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+
+// Parsed compiler options of each tsconfig.json/jsconfig.json, keyed by file path
+const configCache = new Map();
+
+/**
+ * Parse a tsconfig.json, which allows comments and trailing commas
+ * @param {string} text
+ * @returns {any}
+ */
+function parseJsonc(text) {
+  let output = '';
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      output += char;
+      if (char === '\\') output += text[++i] || '';
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+      output += char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      output += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      i = text.indexOf('*/', i + 2);
+      if (i === -1) break;
+      i++;
+    } else {
+      output += char;
+    }
+  }
+
+  return JSON.parse(output.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+/**
+ * Read the `baseUrl` and `paths` of a config file, following relative `extends`
+ * @param {string} configPath
+ * @param {Set<string>} visiting
+ * @returns {{baseUrl: string|null, paths: Object<string, string[]>, pathsBase: string}|null}
+ */
+function readCompilerOptions(configPath, visiting = new Set()) {
+  let stat;
+  try {
+    stat = fs.statSync(configPath);
+  } catch (error) {
+    return null;
+  }
+
+  const cached = configCache.get(configPath);
+  if (cached && cached.mtimeMs === stat.mtimeMs) return cached.options;
+  if (visiting.has(configPath)) return null;
+  visiting.add(configPath);
+
+  let options = null;
+  try {
+    const config = parseJsonc(fs.readFileSync(configPath, 'utf-8'));
+    const dir = path.dirname(configPath);
+
+    const extendsPath = typeof config.extends === 'string' && config.extends.startsWith('.')
+      ? path.resolve(dir, config.extends.endsWith('.json') ? config.extends : `${config.extends}.json`)
+      : null;
+    const inherited = extendsPath ? readCompilerOptions(extendsPath, visiting) : null;
+
+    const compilerOptions = config.compilerOptions || {};
+    const baseUrl = compilerOptions.baseUrl ? path.resolve(dir, compilerOptions.baseUrl) : null;
+    options = {
+      baseUrl: baseUrl || (inherited && inherited.baseUrl) || null,
+      paths: compilerOptions.paths || (inherited && inherited.paths) || {},
+      // `paths` are relative to baseUrl, or to the config declaring them
+      pathsBase: compilerOptions.paths
+        ? baseUrl || dir
+        : (inherited && inherited.pathsBase) || baseUrl || dir
+    };
+  } catch (error) {
+    options = null;
+  }
+
+  visiting.delete(configPath);
+  configCache.set(configPath, { mtimeMs: stat.mtimeMs, options });
+  return options;
+}
+
+/**
+ * Find the tsconfig.json (or jsconfig.json) governing a file
+ * @param {string} fromFile
+ * @returns {string|null}
+ */
+function findConfigFile(fromFile) {
+  let dir = path.dirname(fromFile);
+  while (true) {
+    for (const name of ['tsconfig.json', 'jsconfig.json']) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir || path.basename(dir) === 'node_modules') return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Map a bare module specifier through the `paths` and `baseUrl` of the
+ * governing tsconfig.json, e.g. `@services/user` -> `<root>/src/services/user`
+ * @param {string} specifier
+ * @param {string} fromFile
+ * @returns {string[]} Candidate paths, without extension resolution, best first
+ */
+function mapTsconfigPaths(specifier, fromFile) {
+  const configPath = findConfigFile(fromFile);
+  const options = configPath && readCompilerOptions(configPath);
+  if (!options) return [];
+
+  const candidates = [];
+  let bestPrefix = -1;
+  for (const [pattern, targets] of Object.entries(options.paths)) {
+    const star = pattern.indexOf('*');
+    let matched = null;
+    if (star === -1) {
+      if (pattern === specifier) matched = '';
+    } else {
+      const prefix = pattern.slice(0, star);
+      const suffix = pattern.slice(star + 1);
+      if (specifier.startsWith(prefix) && specifier.endsWith(suffix) && specifier.length >= prefix.length + suffix.length) {
+        matched = specifier.slice(prefix.length, specifier.length - suffix.length);
+      }
+    }
+    if (matched === null) continue;
+
+    // The longest matching prefix wins, like in TypeScript
+    const prefixLength = star === -1 ? pattern.length : star;
+    if (prefixLength < bestPrefix) continue;
+    if (prefixLength > bestPrefix) candidates.length = 0;
+    bestPrefix = prefixLength;
+
+    for (const target of targets) {
+      candidates.push(path.resolve(options.pathsBase, target.replace('*', matched)));
+    }
+  }
+
+  if (options.baseUrl) candidates.push(path.resolve(options.baseUrl, specifier));
+  return candidates;
+}
+
+module.exports = {
+  mapTsconfigPaths
+};
@@ -0,0 +1,259 @@
+const {
+  findRegistration,
+  findScopedRegistrations,
+  getContainerName,
+  getOwnerRegistrations,
+  isOpenContainer,
+  isTestFile
+} = require('./scopes');
+const path = require('path');
+const { buildDependencyGraph, findLifetimeMismatches, findCycles, effectiveLifetime } = require('./graph');
+
+/**
+ * Problems found in the index, independent of how they are reported: the
+ * language server publishes them as diagnostics, the CLI prints them.
+ * Severities are 'error', 'warning' or 'hint'; ranges are index ranges.
+ */
+
+// Problem codes, with a description of what each one enforces
+const PROBLEM_CODES = {
+  'unregistered-key': 'Keys resolved from a container or injected into a registration must be registered',
+  'scoped-only-key': 'Singletons must not depend on keys only registered in a scope',
+  'captive-dependency': 'Registrations must not depend on registrations with a shorter lifetime',
+  'circular-dependency': 'Registrations must not depend on each other in a cycle',
+  'duplicate-registration': 'A key must not be registered twice in the same container'
+};
+
+// Where problems without a known position are reported
+const MODULE_START = { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } };
+
+/**
+ * Check a usage against the container tree
+ * @param {any} index - The current index
+ * @param {any} ref - Indexed usage
+ * @returns {{message: string, severity: string, code: string}|null}
+ */
+function checkUsage(index, ref) {
+  const unregistered = (containerId) => {
+    const where = isOpenContainer(index, containerId) ? 'the container' : `container "${getContainerName(index, containerId)}"`;
+    return {
+      message: `Awilix: key "${ref.key}" is not registered in ${where}`,
+      severity: 'error',
+      code: 'unregistered-key'
+    };
+  };
+
+  // container.resolve('key') / container.cradle.key
+  if (ref.container) {
+    return findRegistration(index, ref.key, ref.container) ? null : unregistered(ref.container);
+  }
+
+  // Injection sites are checked against every container their owner is registered in
+  const owners = ref.owner ? getOwnerRegistrations(index, ref.uri, ref.owner) : [];
+  if (owners.length === 0) {
+    return index.keys.has(ref.key) ? null : unregistered(null);
+  }
+
+  for (const owner of owners) {
+    if (findRegistration(index, ref.key, owner.container)) continue;
+
+    const scoped = findScopedRegistrations(index, ref.key, owner.container);
+    if (scoped.length === 0) return unregistered(owner.container);
+
+    // Only singletons are always resolved from the container they are registered in
+    if (owner.lifetime === 'singleton') {
+      return {
+        message: `Awilix: singleton "${owner.key}" in container "${getContainerName(index, owner.container)}" ` +
+          `depends on "${ref.key}", which is only registered in scope "${getContainerName(index, scoped[0].container)}"`,
+        severity: 'warning',
+        code: 'scoped-only-key'
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the usages that don't resolve: unregistered keys, and keys a singleton
+ * can only get from a scope
+ * @param {any} index - The current index
+ * @param {Array} refs - Usages to check, all of them by default
+ * @returns {Array<{uri: string, range: any, key: string, message: string, severity: string, code: string}>}
+ */
+function findUsageProblems(index, refs = index.resolves) {
+  const problems = [];
+  for (const ref of refs) {
+    const problem = checkUsage(index, ref);
+    if (problem) problems.push({ uri: ref.uri, range: ref.range, key: ref.key, ...problem });
+  }
+  return problems;
+}
+
+/**
+ * Find the problems of the dependency graph: longer-lived registrations
+ * capturing shorter-lived dependencies, and circular dependencies (reported on
+ * the constructor parameter starting each cycle, with every step as related
+ * information)
+ * @param {any} index - The current index
+ * @returns {Array<{uri: string, range: any, message: string, severity: string, code: string, related?: Array<{uri: string, range: any, message: string}>}>}
+ */
+function findGraphProblems(index) {
+  const problems = [];
+  const graph = buildDependencyGraph(index);
+
+  for (const mismatch of findLifetimeMismatches(graph)) {
+    problems.push({
+      uri: mismatch.ref.uri,
+      range: mismatch.ref.range,
+      message: `Awilix: lifetime mismatch ${mismatch.chain}. The ${effectiveLifetime(mismatch.from)} would capture a shorter-lived dependency`,
+      severity: 'warning',
+      code: 'captive-dependency'
+    });
+  }
+
+  for (const { edge, cycle, edges } of findCycles(graph)) {
+    problems.push({
+      uri: edge.ref.uri,
+      range: edge.ref.range,
+      message: `Awilix: circular dependency ${cycle.map(keyInfo => keyInfo.key).join(' -> ')}`,
+      severity: 'error',
+      code: 'circular-dependency',
+      related: edges.map(step => ({
+        uri: step.ref.uri,
+        range: step.ref.range,
+        message: `${step.from.key} depends on ${step.to.key}`
+      }))
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Get a short description of where a key is registered, e.g. `container.js:7`
+ * @param {any} keyInfo
+ * @returns {string}
+ */
+function describeSite(keyInfo) {
+  return `${path.basename(keyInfo.registration.uri)}:${keyInfo.registration.range.start.line + 1}`;
+}
+
+/**
+ * Find keys registered more than once in the same container. Awilix keeps the
+ * last registration (in registration order, see linkContainers), so each
+ * registration is reported with the other ones, telling which one is used.
+ * Registering a key again in a child scope overrides it and is not reported,
+ * nor are registrations made from test files.
+ * @param {any} index - The current index
+ * @returns {Array<{uri: string, range: any, key: string, message: string, severity: string, code: string, related: Array}>}
+ */
+function findDuplicateRegistrations(index) {
+  const byContainerKey = new Map();
+  for (const keyInfo of index.registrations) {
+    if (!keyInfo.registration || isTestFile(keyInfo.registration.uri)) continue;
+    const id = `${keyInfo.container}\0${keyInfo.key}`;
+    if (!byContainerKey.has(id)) byContainerKey.set(id, []);
+    byContainerKey.get(id).push(keyInfo);
+  }
+
+  const problems = [];
+  for (const keyInfos of byContainerKey.values()) {
+    if (keyInfos.length < 2) continue;
+    const used = keyInfos[keyInfos.length - 1];
+    const where = `container "${getContainerName(index, used.container)}"`;
+
+    for (const keyInfo of keyInfos) {
+      const others = keyInfos.filter(other => other !== keyInfo);
+      const outcome = keyInfo === used
+        ? `this registration replaces the earlier ${others.length === 1 ? 'one' : 'ones'}`
+        : `this registration is replaced by the one at ${describeSite(used)}`;
+      problems.push({
+        uri: keyInfo.registration.uri,
+        range: keyInfo.registration.range,
+        key: keyInfo.key,
+        message: `Awilix: key "${keyInfo.key}" is registered more than once in ${where} (also at ${others.map(describeSite).join(', ')}); ${outcome}`,
+        severity: 'warning',
+        code: 'duplicate-registration',
+        related: others.map(other => ({
+          uri: other.registration.uri,
+          range: other.registration.range,
+          message: other === used ? `"${other.key}" registered here, the registration used` : `"${other.key}" also registered here`
+        }))
+      });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Turn allow-list patterns into a key test, `*` matching any characters
+ * @param {string[]} patterns - e.g. `['userController', '*Controller']`
+ * @returns {(key: string) => boolean}
+ */
+function keyMatcher(patterns) {
+  const regexes = patterns.map(pattern =>
+    new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$'));
+  return (key) => regexes.some(regex => regex.test(key));
+}
+
+/**
+ * Find registrations of keys nothing uses: no resolve call, cradle access or
+ * injection site anywhere refers to them. Each registration is reported as a
+ * hint, on the registered module for loadModules since the call registers
+ * many keys. Keys resolved dynamically, e.g. controllers looked up by
+ * awilix-express, cannot be seen: they go in `ignoreKeys`. Not part of
+ * findProblems, the CLI and ESLint rules only report actual mistakes.
+ * @param {any} index - The current index
+ * @param {string[]} ignoreKeys - Keys never reported, `*` matching any characters
+ * @returns {Array<{uri: string, range: any, key: string, container: string, message: string, severity: string, code: string, unnecessary: boolean}>}
+ */
+function findUnusedRegistrations(index, ignoreKeys = []) {
+  const used = new Set(index.resolves.map(ref => ref.key));
+  const ignored = keyMatcher(ignoreKeys);
+
+  const problems = [];
+  const reported = new Set();
+  for (const keyInfo of index.registrations) {
+    if (used.has(keyInfo.key) || ignored(keyInfo.key)) continue;
+    // The registered module, else its registration, else the start of the module
+    let site = keyInfo.source === 'loadModules' || !keyInfo.registration
+      ? { uri: keyInfo.fileUri, range: keyInfo.range }
+      : keyInfo.registration;
+    if (!site.range) site = keyInfo.registration && keyInfo.registration.range ? keyInfo.registration : { uri: keyInfo.fileUri, range: MODULE_START };
+    // A module loaded by several loadModules calls is reported once
+    const id = `${keyInfo.key}\0${site.uri}\0${site.range.start.line}:${site.range.start.character}`;
+    if (reported.has(id)) continue;
+    reported.add(id);
+    problems.push({
+      uri: site.uri,
+      range: site.range,
+      key: keyInfo.key,
+      container: keyInfo.container,
+      message: `Awilix: key "${keyInfo.key}" is registered but never resolved or injected`,
+      severity: 'hint',
+      code: 'unused-registration',
+      unnecessary: true
+    });
+  }
+  return problems;
+}
+
+/**
+ * Find every problem in the index
+ * @param {any} index - The current index
+ * @returns {Array} See findUsageProblems, findGraphProblems and findDuplicateRegistrations
+ */
+function findProblems(index) {
+  return [...findUsageProblems(index), ...findGraphProblems(index), ...findDuplicateRegistrations(index)];
+}
+
+module.exports = {
+  PROBLEM_CODES,
+  checkUsage,
+  findUsageProblems,
+  findGraphProblems,
+  findDuplicateRegistrations,
+  findUnusedRegistrations,
+  findProblems
+};
@@ -0,0 +1,201 @@
+const { CodeActionKind } = require('vscode-languageserver');
+const path = require('path');
+const fs = require('fs');
+const { findUsageAt, getVisibleKeys, getInjectableKeys, getOwnerRegistrations } = require('../scopes');
+const { renameInjectedKeys } = require('../parsers/rename');
+const {
+  suggestKeys,
+  pascalCase,
+  findExportForKey,
+  findRegisterCall,
+  planImport,
+  planRegistration,
+  planClassFile,
+  scaffoldClass
+} = require('../fixes');
+const { usageKeyRange } = require('./definition');
+const { toIndexUri, toLspUri, workspaceEdit } = require('./lsp');
+const { COMMANDS } = require('../server/protocol');
+
+/**
+ * Get the container an unregistered usage should be registered in: the one it
+ * resolves from, or the first container its owning class/function is registered in
+ * @param {any} index
+ * @param {any} ref
+ * @returns {string|null}
+ */
+function targetContainer(index, ref) {
+  if (ref.container) return ref.container;
+  const owners = ref.owner ? getOwnerRegistrations(index, ref.uri, ref.owner) : [];
+  return owners.length > 0 ? owners[0].container : null;
+}
+
+/**
+ * Get the keys a usage could have meant
+ * @param {any} index
+ * @param {any} ref
+ * @returns {Iterable<string>}
+ */
+function candidateKeys(index, ref) {
+  if (ref.container) return getVisibleKeys(index, ref.container).keys();
+  if (ref.owner) return getInjectableKeys(index, ref.uri, ref.owner).keys();
+  return index.keys.keys();
+}
+
+/**
+ * Build a quick fix
+ * @param {string} title
+ * @param {any} diagnostic - LSP diagnostic
+ * @param {ReturnType<typeof workspaceEdit>} edit
+ * @returns {any} LSP code action
+ */
+function quickFix(title, diagnostic, edit) {
+  return { title, kind: CodeActionKind.QuickFix, diagnostics: [diagnostic], edit: edit.build() };
+}
+
+/**
+ * "Did you mean `userService`?" fixes replacing the key with a registered one
+ * @param {any} index
+ * @param {import('vscode-languageserver-textdocument').TextDocument} doc
+ * @param {any} ref
+ * @param {any} diagnostic - LSP diagnostic
+ * @returns {any[]}
+ */
+function didYouMeanFixes(index, doc, ref, diagnostic) {
+  const actions = [];
+  for (const suggestion of suggestKeys(candidateKeys(index, ref), ref.key)) {
+    const edit = workspaceEdit();
+    if (ref.type === 'constructorInjection') {
+      // Keep the local name so the body still compiles: { userServce } -> { userService: userServce };
+      // a CLASSIC parameter is renamed with its references, unless the name is taken there
+      const { edits, conflicts } = renameInjectedKeys(doc.getText(), [ref.range], suggestion, { filePath: ref.uri.replace('file://', '') });
+      if (conflicts.length > 0) continue;
+      for (const change of edits) {
+        edit.replace(ref.uri, change.range, change.newText);
+      }
+    } else {
+      edit.replace(ref.uri, usageKeyRange(ref), suggestion);
+    }
+
+    const action = quickFix(`Did you mean \`${suggestion}\`?`, diagnostic, edit);
+    action.isPreferred = actions.length === 0;
+    actions.push(action);
+  }
+  return actions;
+}
+
+/**
+ * Add a registration (and the import it needs) to a register({...}) call
+ * @param {ReturnType<typeof workspaceEdit>} edit
+ * @param {string} text - Content of the file with the register({...}) call
+ * @param {any} registerCall
+ * @param {string} key
+ * @param {{file: string, exportName: string, localName: string, kind: string}} target
+ * @returns {boolean} false when the import would clash with an existing name
+ */
+function addRegistration(edit, text, registerCall, key, target) {
+  const plan = planImport(text, registerCall.uri.replace('file://', ''), target.file, target.exportName, target.localName,
+    { before: registerCall.range.start });
+  if (!plan) return false;
+
+  const registration = planRegistration(text, registerCall, key, target.kind, target.localName);
+  edit.replace(registerCall.uri, registration.range, registration.newText);
+  if (plan.edit) edit.replace(registerCall.uri, plan.edit.range, plan.edit.newText);
+  return true;
+}
+
+/**
+ * "Register `fooService` in container.js" for a key matching an existing export
+ * @param {any} index
+ * @param {any} ref
+ * @param {any} registerCall
+ * @param {string} containerText - Content of the file with the register({...}) call
+ * @param {any} diagnostic - LSP diagnostic
+ * @returns {any|null}
+ */
+function registerFix(index, ref, registerCall, containerText, diagnostic) {
+  const found = findExportForKey(index, ref.key);
+  if (!found) return null;
+
+  const target = {
+    file: found.uri.replace('file://', ''),
+    exportName: found.exportName,
+    localName: found.exportName !== 'default' ? found.exportName : found.localName || pascalCase(ref.key),
+    kind: found.kind
+  };
+
+  const edit = workspaceEdit();
+  if (!addRegistration(edit, containerText, registerCall, ref.key, target)) return null;
+
+  const where = path.basename(registerCall.uri.replace('file://', ''));
+  return quickFix(`Register \`${ref.key}\` in ${where}`, diagnostic, edit);
+}
+
+/**
+ * "Create `FooService` class and register it": scaffolds the class next to the
+ * container's other classes and registers it
+ * @param {any} index
+ * @param {any} ref
+ * @param {any} registerCall
+ * @param {string} containerText - Content of the file with the register({...}) call
+ * @param {any} diagnostic - LSP diagnostic
+ * @returns {any|null}
+ */
+function createClassFix(index, ref, registerCall, containerText, diagnostic) {
+  const className = pascalCase(ref.key);
+  const containerFile = registerCall.uri.replace('file://', '');
+  const file = planClassFile(index, ref.key, registerCall.container, path.dirname(ref.uri.replace('file://', '')), path.extname(containerFile));
+  if (fs.existsSync(file)) return null;
+
+  const isModule = /^\s*(import|export)\s/m.test(containerText);
+  const fileUri = 'file://' + file;
+
+  const edit = workspaceEdit();
+  edit.createFile(fileUri);
+  edit.insert(fileUri, { line: 0, character: 0 }, scaffoldClass(className, isModule));
+
+  const target = { file, exportName: 'default', localName: className, kind: 'class' };
+  if (!addRegistration(edit, containerText, registerCall, ref.key, target)) return null;
+
+  const action = quickFix(`Create \`${className}\` class and register it`, diagnostic, edit);
+  action.command = { command: COMMANDS.openFile, title: 'Open', arguments: [toLspUri(fileUri)] };
+  return action;
+}
+
+/**
+ * Create code action provider: quick fixes for unregistered-key diagnostics
+ * @param {Function} getIndex - Function to get current index
+ * @param {{readText: Function}} workspace - Reads files, open documents first
+ * @returns {{provideCodeActions: Function}}
+ */
+function codeActionProvider(getIndex, workspace) {
+  return {
+    provideCodeActions(doc, range, context) {
+      const index = getIndex();
+      const uri = toIndexUri(doc.uri);
+      const actions = [];
+
+      for (const diagnostic of context.diagnostics) {
+        if (diagnostic.source !== 'awilix' || diagnostic.code !== 'unregistered-key') continue;
+
+        const ref = findUsageAt(index, uri, diagnostic.range.start);
+        if (!ref) continue;
+
+        actions.push(...didYouMeanFixes(index, doc, ref, diagnostic));
+
+        const registerCall = findRegisterCall(index, targetContainer(index, ref), uri);
+        if (!registerCall) continue;
+
+        // Only scaffold a class when nothing in the workspace can be registered as is
+        const containerText = workspace.readText(registerCall.uri);
+        const action = registerFix(index, ref, registerCall, containerText, diagnostic) ||
+          createClassFix(index, ref, registerCall, containerText, diagnostic);
+        if (action) actions.push(action);
+      }
+
+      return actions;
+    }
+  };
+}
+
+module.exports = { codeActionProvider };
@@ -1,13 +1,52 @@
-const vscode = require('vscode');
+const path = require('path');
+const { CompletionItemKind, InsertTextFormat } = require('vscode-languageserver');
+const { findContainerByReceiver, getVisibleKeys, getInjectableKeys, isTestFile } = require('../scopes');
+const { camelCase } = require('../parsers/evaluate');
+const { pascalCase, parseImports, planImport, formatRegistration } = require('../fixes');
+const { toIndexUri, toRange, lineRange, lineText, openBrackets } = require('./lsp');
+
+// Methods chained on asClass()/asFunction(); those of a group exclude each other
+const RESOLVER_METHODS = [
+  { name: 'singleton', snippet: () => 'singleton()', group: 'lifetime', documentation: 'One instance, shared by the container and all its scopes' },
+  { name: 'scoped', snippet: () => 'scoped()', group: 'lifetime', documentation: 'One instance per scope' },
+  { name: 'transient', snippet: () => 'transient()', group: 'lifetime', documentation: 'A new instance every time it is resolved (the default)' },
+  {
+    name: 'setLifetime',
+    snippet: (lifetime) => `setLifetime(\${1|${['SINGLETON', 'SCOPED', 'TRANSIENT'].map(lifetime).join(',')}|})`,
+    group: 'lifetime',
+    documentation: 'Set the lifetime from a value'
+  },
+  { name: 'inject', snippet: () => 'inject(() => ({ $1 }))', documentation: 'Inject extra dependencies, on top of the cradle' },
+  { name: 'disposer', snippet: () => 'disposer((${1:instance}) => ${1:instance}.${2:dispose}())', documentation: 'Called with the instance when the container is disposed' },
+  { name: 'classic', snippet: () => 'classic()', group: 'injectionMode', documentation: 'Inject dependencies by parameter name' },
+  { name: 'proxy', snippet: () => 'proxy()', group: 'injectionMode', documentation: 'Inject the cradle as the first parameter' }
+];
+
+/**
+ * Find the property being written in a `container.register({...})` object,
+ * when the cursor is directly inside one
+ * @param {import('vscode-languageserver-textdocument').TextDocument} doc
+ * @param {{line: number, character: number}} pos
+ * @returns {{objectOffset: number, start: number, text: string}|null} The offset of the object's `{`, and where the property starts and its text up to the cursor
+ */
+function findRegisterProperty(doc, pos) {
+  const text = doc.getText();
+  const offset = doc.offsetAt(pos);
+  const object = openBrackets(text, offset).pop();
+  if (!object || object.char !== '{' || !/\.register\s*\(\s*$/.test(text.slice(0, object.offset))) return null;
+
+  const start = (object.lastComma !== null ? object.lastComma : object.offset) + 1;
+  return { objectOffset: object.offset, start, text: text.slice(start, offset) };
+}
 
 /**
  * Detect if we're in an Awilix context where completion should trigger
- * @param {vscode.TextDocument} doc
- * @param {vscode.Position} pos
- * @returns {'inResolveString'|'afterCradleDot'|'inConstructorDestructuring'|null}
+ * @param {import('vscode-languageserver-textdocument').TextDocument} doc
+ * @param {{line: number, character: number}} pos
+ * @returns {'inResolveString'|'afterCradleDot'|'inConstructorDestructuring'|'inRegisterObject'|'afterRegistrationDot'|null}
  */
 function detectAwilixContext(doc, pos) {
-  const line = doc.lineAt(pos.line).text;
+  const line = lineText(doc, pos.line);
   const textBefore = line.substring(0, pos.character);
   const textAfter = line.substring(pos.character);
 
@@ -40,40 +79,211 @@ function detectAwilixContext(doc, pos) {
     return 'inConstructorDestructuring';
   }
 
+  // Check if we're writing a key in register({ ... }), or a method chained on its resolver
+  // Pattern: register({ key<cursor> or register({ key: asClass(X).<cursor>
+  const property = findRegisterProperty(doc, pos);
+  if (property && /^\s*[\w$]*$/.test(property.text)) {
+    return 'inRegisterObject';
+  }
+  if (property && /^\s*(?:[\w$]+|'[^']*'|"[^"]*")\s*:\s*(?:[\w$]+\.)?as(?:Class|Function)\s*\([\s\S]*\)\s*\.\s*[\w$]*$/.test(property.text)) {
+    return 'afterRegistrationDot';
+  }
+
   return null;
 }
 
+/**
+ * Find the indexed register({...}) call whose object starts at an offset
+ * @param {any} index
+ * @param {import('vscode-languageserver-textdocument').TextDocument} doc
+ * @param {number} objectOffset
+ * @returns {any|null}
+ */
+function findRegisterCallAt(index, doc, objectOffset) {
+  const uri = toIndexUri(doc.uri);
+  const start = doc.positionAt(objectOffset);
+  return index.registerCalls.find(call =>
+    call.uri === uri && call.range.start.line === start.line && call.range.start.character === start.character) || null;
+}
+
+/**
+ * Suggest the classes and factories exported from the workspace that aren't
+ * registered yet, under the key Awilix's camelCase would give them, written as
+ * `key: asClass(X)` with the import or require they need
+ * @param {any} index
+ * @param {import('vscode-languageserver-textdocument').TextDocument} doc
+ * @param {{line: number, character: number}} pos
+ * @returns {Array} LSP completion items
+ */
+function registrationItems(index, doc, pos) {
+  const uri = toIndexUri(doc.uri);
+  const filePath = uri.replace('file://', '');
+  const property = findRegisterProperty(doc, pos);
+  const registerCall = findRegisterCallAt(index, doc, property.objectOffset);
+  const visible = registerCall ? getVisibleKeys(index, registerCall.container) : index.keys;
+  const registered = new Set(index.registrations.map(keyInfo => `${keyInfo.fileUri}#${keyInfo.exportName || 'default'}`));
+
+  // Imports are planned without the half-written property, which may not parse
+  const text = doc.getText();
+  const offset = doc.offsetAt(pos);
+  const blanked = text.slice(0, property.start) + property.text.replace(/[^\n]/g, ' ') + text.slice(offset);
+  let parsed;
+  try {
+    parsed = parseImports(blanked, filePath);
+  } catch {
+    return [];
+  }
+
+  // Imports go before the register({...}) call that uses them
+  const before = doc.positionAt(property.objectOffset);
+  const range = { start: doc.positionAt(property.start + property.text.search(/[\w$]|$/)), end: pos };
+  const items = [];
+  const seen = new Set();
+  for (const entry of index.exports) {
+    if (entry.kind === 'value' || isTestFile(entry.uri) || registered.has(`${entry.uri}#${entry.exportName}`)) continue;
+
+    const isDefault = entry.exportName === 'default';
+    const key = camelCase(isDefault ? entry.localName || path.basename(entry.uri, path.extname(entry.uri)) : entry.exportName);
+    if (!key || seen.has(key) || visible.has(key)) continue;
+
+    // Declared in this file, or imported under its export name (a default export under its own name)
+    let localName = entry.localName || entry.exportName;
+    const additionalTextEdits = [];
+    if (entry.uri !== uri) {
+      if (isDefault) localName = entry.localName || (entry.kind === 'class' ? pascalCase(key) : key);
+      const plan = planImport(blanked, filePath, entry.uri.replace('file://', ''), entry.exportName, localName, { parsed, before });
+      if (!plan) continue;
+      if (plan.edit) additionalTextEdits.push({ range: toRange(plan.edit.range), newText: plan.edit.newText });
+    } else if (isDefault && !entry.localName) {
+      continue;
+    }
+
+    const newText = formatRegistration(key, entry.kind, localName, registerCall ? registerCall.asXPrefix : '');
+    seen.add(key);
+    items.push({
+      label: key,
+      kind: entry.kind === 'class' ? CompletionItemKind.Class : CompletionItemKind.Function,
+      detail: newText,
+      documentation: entry.uri.replace('file://', ''),
+      sortText: key,
+      filterText: key,
+      textEdit: { range, newText },
+      additionalTextEdits
+    });
+  }
+  return items;
+}
+
+/**
+ * Suggest the methods that can be chained on an asClass()/asFunction()
+ * resolver, leaving out those already called
+ * @param {any} index
+ * @param {import('vscode-languageserver-textdocument').TextDocument} doc
+ * @param {{line: number, character: number}} pos
+ * @returns {Array} LSP completion items
+ */
+function resolverMethodItems(index, doc, pos) {
+  const property = findRegisterProperty(doc, pos);
+  const called = new Set([...property.text.matchAll(/\.\s*([\w$]+)\s*\(/g)].map(match => match[1]));
+  const calledGroups = new Set(RESOLVER_METHODS.filter(method => called.has(method.name)).map(method => method.group));
+
+  // Lifetimes are written like the registration's asClass(): `awilix.Lifetime.X`, `Lifetime.X` or a string
+  const registerCall = findRegisterCallAt(index, doc, property.objectOffset);
+  const asXPrefix = registerCall ? registerCall.asXPrefix : '';
+  const lifetime = asXPrefix || /\bLifetime\b/.test(doc.getText())
+    ? (name) => `${asXPrefix}Lifetime.${name}`
+    : (name) => `'${name}'`;
+
+  const word = property.text.match(/[\w$]*$/)[0];
+  const range = lineRange(pos.line, pos.character - word.length, pos.character);
+  return RESOLVER_METHODS
+    .filter(method => !called.has(method.name) && !(method.group && calledGroups.has(method.group)))
+    .map((method, i) => ({
+      label: method.name,
+      kind: CompletionItemKind.Method,
+      detail: `.${method.name}()`,
+      documentation: method.documentation,
+      sortText: String(i).padStart(2, '0'),
+      insertTextFormat: InsertTextFormat.Snippet,
+      textEdit: { range, newText: method.snippet(lifetime) }
+    }));
+}
+
+/**
+ * Find the name of the class or function whose parameters are being edited
+ * @param {import('vscode-languageserver-textdocument').TextDocument} doc
+ * @param {{line: number, character: number}} pos
+ * @returns {string|null}
+ */
+function findEnclosingOwner(doc, pos) {
+  for (let line = pos.line; line >= 0 && line > pos.line - 200; line--) {
+    const text = lineText(doc, line);
+    const match = text.match(/\bclass\s+(\w+)/) ||
+      text.match(/\bfunction\s+(\w+)/) ||
+      text.match(/^\s*(?:const|let|var)\s+(\w+)\s*=\s*(?:async\s+)?(?:function\b|\()/);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Get the keys to offer: those visible from the container the cursor's
+ * receiver refers to, or from the containers the enclosing class is registered in
+ * @param {any} index
+ * @param {import('vscode-languageserver-textdocument').TextDocument} doc
+ * @param {{line: number, character: number}} pos
+ * @param {string} ctx - Completion context
+ * @returns {Map<string, any>}
+ */
+function getCompletionKeys(index, doc, pos, ctx) {
+  const uri = toIndexUri(doc.uri);
+  const textBefore = lineText(doc, pos.line).substring(0, pos.character);
+
+  if (ctx === 'inResolveString' || ctx === 'afterCradleDot') {
+    const match = textBefore.match(/([\w.]+)\.(?:resolve\s*\(\s*['"][^'"]*|cradle\.)$/);
+    const containerId = match && findContainerByReceiver(index, uri, match[1]);
+    return containerId ? getVisibleKeys(index, containerId) : index.keys;
+  }
+
+  const ownerName = findEnclosingOwner(doc, pos);
+  if (!ownerName) return index.keys;
+
+  const ref = index.resolves.find(r => r.uri === uri && r.owner && r.owner.name === ownerName);
+  return getInjectableKeys(index, uri, ref ? ref.owner : { name: ownerName, exports: [] });
+}
+
 /**
  * Create completion provider
  * @param {Function} getIndex - Function to get current index
- * @returns {vscode.CompletionItemProvider}
+ * @returns {{provideCompletionItems: Function}}
  */
 function completionProvider(getIndex) {
   return {
-    provideCompletionItems(doc, pos, token, context) {
+    provideCompletionItems(doc, pos) {
       const ctx = detectAwilixContext(doc, pos);
-      if (!ctx) return undefined;
+      if (!ctx) return null;
 
-      const items = [];
       const index = getIndex();
+      if (ctx === 'inRegisterObject') return registrationItems(index, doc, pos);
+      if (ctx === 'afterRegistrationDot') return resolverMethodItems(index, doc, pos);
 
-      for (const [key, meta] of index.keys.entries()) {
-        const item = new vscode.CompletionItem(key, vscode.CompletionItemKind.Property);
+      const items = [];
 
-        // Build detail string
+      for (const [key, meta] of getCompletionKeys(index, doc, pos, ctx).entries()) {
         const lifetimeStr = meta.lifetime ? ` • ${meta.lifetime}` : '';
-        item.detail = `${meta.kind}${lifetimeStr}`;
-
-        // Show file path in documentation
-        const fileUri = typeof meta.fileUri === 'string' ? meta.fileUri : meta.fileUri.fsPath;
-        item.documentation = fileUri.replace('file://', '');
-
-        // Sort by key name
-        item.sortText = key;
+        const item = {
+          label: key,
+          kind: CompletionItemKind.Property,
+          detail: `${meta.kind}${lifetimeStr}`,
+          // Show file path in documentation
+          documentation: meta.fileUri.replace('file://', ''),
+          // Sort by key name
+          sortText: key
+        };
 
         // For resolve strings, replace the entire string content
         if (ctx === 'inResolveString') {
-          const line = doc.lineAt(pos.line).text;
+          const line = lineText(doc, pos.line);
           const textBefore = line.substring(0, pos.character);
           const match = textBefore.match(/\.resolve\s*\(\s*(['"])([^'"]*?)$/);
 
@@ -84,12 +294,10 @@ function completionProvider(getIndex) {
             const endQuoteIndex = textAfter.indexOf(quote);
 
             // Replace range from opening quote to closing quote (or end of string)
-            item.range = new vscode.Range(
-              pos.line,
-              startPos,
-              pos.line,
-              endQuoteIndex >= 0 ? pos.character + endQuoteIndex : pos.character
-            );
+            item.textEdit = {
+              range: lineRange(pos.line, startPos, endQuoteIndex >= 0 ? pos.character + endQuoteIndex : pos.character),
+              newText: key
+            };
           }
         }
 
@@ -1,14 +1,36 @@
-const vscode = require('vscode');
+const { findUsageAt, resolveCandidates } = require('../scopes');
+const { toIndexUri, toRange, lineRange, lineText, wordRangeAt, toLocation } = require('./lsp');
+
+/**
+ * Get the range of a usage's key text (inside the quotes for resolve('key'))
+ * @param {{type: string, range: any}} ref
+ * @returns {{start: any, end: any}}
+ */
+function usageKeyRange(ref) {
+  const range = toRange(ref.range);
+  if (ref.type !== 'resolveCall') return range;
+  range.start.character += 1;
+  range.end.character -= 1;
+  return range;
+}
+
+// Destructured first parameter of a function declaration or expression, an
+// arrow function or a method
+const FACTORY_PARAMS = [
+  /\bfunction\b\s*\*?\s*\w*\s*\(\s*\{([^}]+)\}/,
+  /\(\s*\{([^}]+)\}\s*\)\s*=>/,
+  /\b\w+\s*\(\s*\{([^}]+)\}\s*\)\s*\{/
+];
 
 /**
  * Find the Awilix key under the cursor
- * @param {vscode.TextDocument} doc
- * @param {vscode.Position} pos
- * @returns {{key: string, range: vscode.Range}|null}
+ * @param {import('vscode-languageserver-textdocument').TextDocument} doc
+ * @param {{line: number, character: number}} pos
+ * @returns {{key: string, range: any}|null}
  */
 function findKeyUnderCursor(doc, pos) {
-  const line = doc.lineAt(pos.line).text;
-  const wordRange = doc.getWordRangeAtPosition(pos);
+  const line = lineText(doc, pos.line);
+  const wordRange = wordRangeAt(doc, pos);
 
   // Check if we're in a resolve('key') string literal first
   // Match both complete and incomplete strings: .resolve('key') or .resolve('ke
@@ -30,7 +52,7 @@ function findKeyUnderCursor(doc, pos) {
     if (fullKey) {
       return {
         key: fullKey,
-        range: new vscode.Range(pos.line, keyStartPos, pos.line, keyStartPos + fullKey.length)
+        range: lineRange(pos.line, keyStartPos, keyStartPos + fullKey.length)
       };
     }
   }
@@ -61,11 +83,12 @@ function findKeyUnderCursor(doc, pos) {
     }
   }
 
-  // Check if we're in a function parameter (destructuring)
-  // Pattern: function name({key, otherKey}) or ({key, otherKey}) =>
-  const functionMatch = line.match(/(?:function\s+\w+\s*\(|^\s*(?:const|let|var)?\s*\w+\s*=\s*)\s*\{([^}]+)\}/);
+  // Check if we're in a factory parameter (destructuring)
+  // Patterns: function name({key}), function ({key}), ({key}) =>,
+  // name({key}) { (methods, static ones included)
+  const functionMatch = FACTORY_PARAMS.map(pattern => line.match(pattern)).find(Boolean);
   if (functionMatch) {
-    const params = functionMatch[1].split(',').map(p => p.trim());
+    const params = functionMatch[1].split(',').map(p => p.split(/[:=]/)[0].trim());
     if (params.includes(word)) {
       return {
         key: word,
@@ -77,36 +100,45 @@ function findKeyUnderCursor(doc, pos) {
   return null;
 }
 
+/**
+ * Find the key of the indexed usage at a position: a resolve string, a cradle
+ * access or an injection in any form the indexer reads (CLASSIC parameters,
+ * `deps.x`, parameter properties, factories). Files not indexed yet fall back
+ * to the key recognized from the line text.
+ * @param {any} index
+ * @param {import('vscode-languageserver-textdocument').TextDocument} doc
+ * @param {{line: number, character: number}} pos
+ * @returns {{key: string, range: any, usage: any|null}|null}
+ */
+function findUsageKey(index, doc, pos) {
+  const usage = findUsageAt(index, toIndexUri(doc.uri), pos);
+  if (usage) return { key: usage.key, range: usageKeyRange(usage), usage };
+
+  const ref = findKeyUnderCursor(doc, pos);
+  return ref ? { ...ref, usage: null } : null;
+}
+
 /**
  * Create definition provider
  * @param {Function} getIndex - Function to get current index
- * @returns {vscode.DefinitionProvider}
+ * @returns {{provideDefinition: Function}}
  */
 function definitionProvider(getIndex) {
   return {
     provideDefinition(doc, pos) {
       const index = getIndex();
-      const ref = findKeyUnderCursor(doc, pos);
-
-      if (!ref) return undefined;
-
-      const def = index.keys.get(ref.key);
-      if (!def) return undefined;
+      const ref = findUsageKey(index, doc, pos);
 
-      const uri = typeof def.fileUri === 'string'
-        ? vscode.Uri.parse(def.fileUri)
-        : def.fileUri;
+      if (!ref) return null;
 
-      const range = def.range
-        ? new vscode.Range(
-            new vscode.Position(def.range.start.line, def.range.start.character),
-            new vscode.Position(def.range.end.line, def.range.end.character)
-          )
-        : new vscode.Position(0, 0);
+      // The registration visible from the usage's container first, then the
+      // other registrations it may resolve to
+      const candidates = resolveCandidates(index, ref.key, ref.usage);
+      if (candidates.length === 0) return null;
 
-      return new vscode.Location(uri, range);
+      return candidates.length === 1 ? toLocation(candidates[0]) : candidates.map(toLocation);
     }
   };
 }
 
-module.exports = { definitionProvider, findKeyUnderCursor };
+module.exports = { definitionProvider, findKeyUnderCursor, findUsageKey, usageKeyRange };
@@ -1,51 +1,136 @@
-const vscode = require('vscode');
+const { DiagnosticSeverity, DiagnosticTag } = require('vscode-languageserver');
+const { findUsageProblems, findGraphProblems, findDuplicateRegistrations, findUnusedRegistrations } = require('../problems');
+const { toLspUri, toRange } = require('./lsp');
+
+const SEVERITIES = {
+  error: DiagnosticSeverity.Error,
+  warning: DiagnosticSeverity.Warning,
+  hint: DiagnosticSeverity.Hint
+};
 
 /**
- * Run diagnostics on the index and update the diagnostic collection
- * @param {{keys: Map, resolves: Array}} index - The current index
- * @param {vscode.DiagnosticCollection} collection - VS Code diagnostic collection
+ * Create a diagnostic collection publishing to the client: the diagnostics of
+ * a file replace the ones published before, like a VS Code DiagnosticCollection
+ * @param {import('vscode-languageserver').Connection} connection
+ * @returns {{set: Function, delete: Function, clear: Function}} Keyed by file path
  */
-function diagnosticsRunner(index, collection) {
-  const byFile = new Map();
+function createDiagnosticCollection(connection) {
+  const published = new Set();
+  const publish = (fsPath, diagnostics) => connection.sendDiagnostics({ uri: toLspUri('file://' + fsPath), diagnostics });
 
-  // Check all resolve calls and cradle accesses
-  for (const ref of index.resolves) {
-    const uriString = typeof ref.uri === 'string' ? ref.uri : ref.uri.toString();
-    const fsPath = uriString.replace('file://', '');
-
-    if (!byFile.has(fsPath)) {
-      byFile.set(fsPath, []);
+  return {
+    set(fsPath, diagnostics) {
+      published.add(fsPath);
+      publish(fsPath, diagnostics);
+    },
+    delete(fsPath) {
+      if (published.delete(fsPath)) publish(fsPath, []);
+    },
+    clear() {
+      for (const fsPath of published) publish(fsPath, []);
+      published.clear();
     }
+  };
+}
 
-    const arr = byFile.get(fsPath);
-
-    // Check if the key exists in the index
-    if (!index.keys.has(ref.key)) {
-      const range = new vscode.Range(
-        new vscode.Position(ref.range.start.line, ref.range.start.character),
-        new vscode.Position(ref.range.end.line, ref.range.end.character)
-      );
+// Usage diagnostics of each collection per file, tagged with their key, and
+// the files that had dependency graph, duplicate or unused registration diagnostics,
+// so updates only recheck what changed
+const usageDiagnostics = new WeakMap();
+const graphDiagnosticFiles = new WeakMap();
 
-      const diagnostic = new vscode.Diagnostic(
-        range,
-        `Awilix: key "${ref.key}" is not registered in the container`,
-        vscode.DiagnosticSeverity.Error
-      );
+/**
+ * Run diagnostics on the index and update the diagnostic collection. With
+ * `affected`, only usages in the affected files or of the affected keys are
+ * checked again; the dependency graph, duplicate and unused registration
+ * checks are cheap and always rerun.
+ * @param {{keys: Map, resolves: Array}} index - The current index
+ * @param {ReturnType<typeof createDiagnosticCollection>} collection
+ * @param {{uris: Set<string>, keys: Set<string>}|null} affected - See updateIndex
+ * @param {{ignoreUnusedKeys?: string[]}} options - Keys not reported as unused, see findUnusedRegistrations
+ */
+function diagnosticsRunner(index, collection, affected = null, options = {}) {
+  const toFsPath = (uri) => uri.replace('file://', '');
+  const touched = new Set();
 
-      diagnostic.source = 'awilix';
-      diagnostic.code = 'unregistered-key';
+  const createDiagnostic = (problem) => {
+    const diagnostic = {
+      range: toRange(problem.range),
+      message: problem.message,
+      severity: SEVERITIES[problem.severity],
+      source: 'awilix',
+      code: problem.code
+    };
+    if (problem.unnecessary) diagnostic.tags = [DiagnosticTag.Unnecessary];
+    if (problem.related) {
+      diagnostic.relatedInformation = problem.related.map(related => ({
+        location: { uri: toLspUri(related.uri), range: toRange(related.range) },
+        message: related.message
+      }));
+    }
+    return diagnostic;
+  };
 
-      arr.push(diagnostic);
+  let usageByFile = usageDiagnostics.get(collection);
+  let refs = index.resolves;
+  if (!affected || !usageByFile) {
+    usageByFile = new Map();
+    usageDiagnostics.set(collection, usageByFile);
+    graphDiagnosticFiles.delete(collection);
+    collection.clear();
+  } else {
+    for (const uri of affected.uris) {
+      usageByFile.delete(toFsPath(uri));
+      touched.add(toFsPath(uri));
+    }
+    for (const [fsPath, entries] of usageByFile) {
+      const kept = entries.filter(entry => !affected.keys.has(entry.key));
+      if (kept.length === entries.length) continue;
+      usageByFile.set(fsPath, kept);
+      touched.add(fsPath);
     }
+    refs = refs.filter(ref => affected.uris.has(ref.uri) || affected.keys.has(ref.key));
   }
 
-  // Clear previous diagnostics
-  collection.clear();
+  // Check all resolve calls, cradle accesses and injection sites
+  for (const problem of findUsageProblems(index, refs)) {
+    const fsPath = toFsPath(problem.uri);
+    if (!usageByFile.has(fsPath)) usageByFile.set(fsPath, []);
+    usageByFile.get(fsPath).push({ key: problem.key, diagnostic: createDiagnostic(problem) });
+    touched.add(fsPath);
+  }
+
+  // Captive dependencies, circular dependencies, duplicate and unused registrations
+  const graphByFile = new Map();
+  const graphProblems = [
+    ...findGraphProblems(index),
+    ...findDuplicateRegistrations(index),
+    ...findUnusedRegistrations(index, options.ignoreUnusedKeys)
+  ];
+  for (const problem of graphProblems) {
+    const fsPath = toFsPath(problem.uri);
+    if (!graphByFile.has(fsPath)) graphByFile.set(fsPath, []);
+    graphByFile.get(fsPath).push(createDiagnostic(problem));
+  }
+
+  // Files that gain or lose graph diagnostics need updating too
+  for (const fsPath of graphDiagnosticFiles.get(collection) || []) touched.add(fsPath);
+  for (const fsPath of graphByFile.keys()) touched.add(fsPath);
+  graphDiagnosticFiles.set(collection, new Set(graphByFile.keys()));
 
   // Set new diagnostics per file
-  for (const [fsPath, diags] of byFile) {
-    collection.set(vscode.Uri.file(fsPath), diags);
+  for (const fsPath of touched) {
+    const diags = [
+      ...(usageByFile.get(fsPath) || []).map(entry => entry.diagnostic),
+      ...(graphByFile.get(fsPath) || [])
+    ];
+    if (diags.length > 0) {
+      collection.set(fsPath, diags);
+    } else {
+      usageByFile.delete(fsPath);
+      collection.delete(fsPath);
+    }
   }
 }
 
-module.exports = { diagnosticsRunner };
+module.exports = { diagnosticsRunner, createDiagnosticCollection };
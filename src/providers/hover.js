@@ -1,44 +1,138 @@
-const vscode = require('vscode');
-const { findKeyUnderCursor } = require('./definition');
+const path = require('path');
+const { MarkupKind } = require('vscode-languageserver');
+const { findUsageKey } = require('./definition');
+const { resolveUsage, resolveCandidates, getContainerChain, getContainerName, getRegistrationInjections, isTestFile, registrationSite } = require('../scopes');
+const { resolveDependency } = require('../graph');
+const { isTypeScriptFile } = require('../parsers/ast');
+const { toLspUri } = require('./lsp');
+
+/**
+ * Describe a registration the usage doesn't resolve to, relative to the one it does
+ * @param {any} index
+ * @param {any} keyInfo
+ * @param {any} def - Registration the usage resolves to
+ * @returns {string}
+ */
+function describeCandidate(index, keyInfo, def) {
+  const name = getContainerName(index, keyInfo.container);
+  if (isTestFile(registrationSite(keyInfo).uri)) return `in \`${name}\`, from a test file`;
+  if (keyInfo.container === def.container) return `in \`${name}\`, replaced by a later registration`;
+  if (getContainerChain(index, def.container).includes(keyInfo.container)) {
+    return `in \`${name}\`, shadowed by scope \`${getContainerName(index, def.container)}\``;
+  }
+  return `in \`${name}\`, used when resolved from there`;
+}
+
+/**
+ * Link to where a key is registered, e.g. [container.js:7](file:///...#L7)
+ * @param {any} keyInfo
+ * @param {string} [label] - Link text, the file and line by default
+ * @returns {string}
+ */
+function registrationLink(keyInfo, label) {
+  const site = registrationSite(keyInfo);
+  const line = site.range ? site.range.start.line + 1 : 1;
+  return `[${label || `${path.basename(site.uri)}:${line}`}](${toLspUri(site.uri)}#L${line})`;
+}
+
+/**
+ * Format code as a Markdown code block, highlighted as the language of its file
+ * @param {string} code
+ * @param {string} uri - File the code comes from
+ * @returns {string}
+ */
+function codeBlock(code, uri) {
+  return `\n\`\`\`${isTypeScriptFile(uri) ? 'typescript' : 'javascript'}\n${code}\n\`\`\`\n`;
+}
+
+/**
+ * List the keys injected into a registration, parent classes included, each
+ * linked to the registration it resolves to from the registration's container
+ * @param {any} index
+ * @param {any} def
+ * @returns {string[]}
+ */
+function describeDependencies(index, def) {
+  const dependencies = new Map();
+  for (const { ref, inherited } of getRegistrationInjections(index, def)) {
+    if (dependencies.has(ref.key)) continue;
+    const to = resolveDependency(index, def, ref.key);
+    const owner = ref.owner.name || ref.owner.exports[0];
+    const label = `\`${ref.key}\``;
+    const notes = [!to && 'not registered', inherited && owner && `from \`${owner}\``].filter(Boolean);
+    const entry = to ? registrationLink(to, label) : label;
+    dependencies.set(ref.key, notes.length > 0 ? `${entry} (${notes.join(', ')})` : entry);
+  }
+  return [...dependencies.values()];
+}
 
 /**
  * Create hover provider
  * @param {Function} getIndex - Function to get current index
- * @returns {vscode.HoverProvider}
+ * @returns {{provideHover: Function}}
  */
 function hoverProvider(getIndex) {
   return {
     provideHover(doc, pos) {
-      const ref = findKeyUnderCursor(doc, pos);
-      if (!ref) return undefined;
-
       const index = getIndex();
-      const def = index.keys.get(ref.key);
-      if (!def) return undefined;
+      const ref = findUsageKey(index, doc, pos);
+      if (!ref) return null;
 
-      const md = new vscode.MarkdownString();
+      const [def, ...others] = resolveCandidates(index, ref.key, ref.usage);
+      if (!def) return null;
 
       // Title with key name
-      md.appendMarkdown(`**${ref.key}**\n\n`);
+      let md = `**${ref.key}**\n\n`;
 
       // Kind and lifetime
       const lifetimeStr = def.lifetime ? ` • ${def.lifetime}` : '';
-      md.appendMarkdown(`_${def.kind}${lifetimeStr}_\n\n`);
+      md += `_${def.kind}${lifetimeStr}_\n\n`;
+
+      // JSDoc summary and signature of the class/function
+      if (def.doc) md += `${def.doc}\n\n`;
+      if (def.signature) md += codeBlock(def.signature, def.fileUri);
+
+      // How it is registered, e.g. asClass(UserService).singleton()
+      if (def.registration && def.registration.expression) {
+        md += `\n**Registration:**\n${codeBlock(def.registration.expression, def.registration.uri)}`;
+      }
 
       // File path
-      const fileUri = typeof def.fileUri === 'string' ? def.fileUri : def.fileUri.fsPath;
-      const filePath = fileUri.replace('file://', '');
-      md.appendCodeblock(filePath, 'text');
+      md += `\n\`\`\`text\n${def.fileUri.replace('file://', '')}\n\`\`\`\n`;
 
       // Export name if available
       if (def.exportName) {
-        md.appendMarkdown(`\n**Export:** \`${def.exportName}\``);
+        md += `\n**Export:** \`${def.exportName}\``;
       }
 
-      md.isTrusted = true;
-      md.supportHtml = true;
+      // Container the key is registered in, and its parent for scopes
+      const container = def.container && index.containers.get(def.container);
+      if (container) {
+        const parentStr = container.parent ? ` (scope of \`${getContainerName(index, container.parent)}\`)` : '';
+        md += `\n\n**Container:** \`${container.name}\`${parentStr}`;
+      }
+
+      // Keys injected into it, parent classes included
+      const dependencies = describeDependencies(index, def);
+      if (dependencies.length > 0) {
+        md += `\n\n**Dependencies:** ${dependencies.join(', ')}`;
+      }
+
+      // Injection sites resolving to this registration
+      const injected = index.resolves.filter(other =>
+        other.injection && other.key === ref.key && resolveUsage(index, other.key, other) === def).length;
+      md += `\n\n**Injected in:** ${injected} ${injected === 1 ? 'place' : 'places'}`;
+
+      // Every registration of the key the usage may resolve to, the one used first
+      if (others.length > 0) {
+        md += '\n\n**Registrations:**\n';
+        md += `\n- ${registrationLink(def)} used`;
+        for (const keyInfo of others) {
+          md += `\n- ${registrationLink(keyInfo)} ${describeCandidate(index, keyInfo, def)}`;
+        }
+      }
 
-      return new vscode.Hover(md, ref.range);
+      return { contents: { kind: MarkupKind.Markdown, value: md }, range: ref.range };
     }
   };
 }
@@ -0,0 +1,202 @@
+const path = require('path');
+const { fileURLToPath, pathToFileURL } = require('url');
+
+/**
+ * Helpers shared by the providers to work with LSP text documents, positions
+ * and URIs. The index identifies files as `'file://' + path`, LSP clients send
+ * percent-encoded file URIs: convert at the boundary with toIndexUri and toLspUri.
+ */
+
+/**
+ * Convert a document URI sent by the client to the URI the index uses
+ * @param {string} uri
+ * @returns {string}
+ */
+function toIndexUri(uri) {
+  return 'file://' + fileURLToPath(uri);
+}
+
+/**
+ * Convert an index URI to a URI to send to the client
+ * @param {string} uri
+ * @returns {string}
+ */
+function toLspUri(uri) {
+  return pathToFileURL(uri.replace('file://', '')).href;
+}
+
+/**
+ * Check if a document URI is a file with a source extension
+ * @param {string} uri
+ * @param {string[]} extensions
+ * @returns {boolean}
+ */
+function isSourceUri(uri, extensions) {
+  return uri.startsWith('file:') && extensions.includes(path.extname(fileURLToPath(uri)));
+}
+
+/**
+ * Copy an index range into a plain LSP range
+ * @param {{start: {line: number, character: number}, end: {line: number, character: number}}} range
+ * @returns {{start: {line: number, character: number}, end: {line: number, character: number}}}
+ */
+function toRange(range) {
+  return {
+    start: { line: range.start.line, character: range.start.character },
+    end: { line: range.end.line, character: range.end.character }
+  };
+}
+
+/**
+ * Build a single-line range
+ * @param {number} line
+ * @param {number} start
+ * @param {number} end
+ * @returns {{start: {line: number, character: number}, end: {line: number, character: number}}}
+ */
+function lineRange(line, start, end) {
+  return { start: { line, character: start }, end: { line, character: end } };
+}
+
+/**
+ * Get the text of a line, without its line break
+ * @param {import('vscode-languageserver-textdocument').TextDocument} doc
+ * @param {number} line
+ * @returns {string}
+ */
+function lineText(doc, line) {
+  return doc.getText({ start: { line, character: 0 }, end: { line: line + 1, character: 0 } }).replace(/\r?\n$/, '');
+}
+
+/**
+ * Get the range of the identifier-like word at a position, touching it from either side
+ * @param {import('vscode-languageserver-textdocument').TextDocument} doc
+ * @param {{line: number, character: number}} pos
+ * @returns {{start: any, end: any}|null}
+ */
+function wordRangeAt(doc, pos) {
+  const words = /[\w$]+/g;
+  const text = lineText(doc, pos.line);
+  let match;
+  while ((match = words.exec(text))) {
+    const end = match.index + match[0].length;
+    if (match.index <= pos.character && pos.character <= end) return lineRange(pos.line, match.index, end);
+    if (match.index > pos.character) break;
+  }
+  return null;
+}
+
+/**
+ * Find the brackets still open at an offset of a source text, innermost
+ * last, each with the offset of the last comma directly inside it. Strings,
+ * template literals and comments are skipped; when the offset is inside one,
+ * it comes last with its opening quote (or `//`, `/*`) as char.
+ * @param {string} text
+ * @param {number} offset
+ * @returns {Array<{char: string, offset: number, lastComma: number|null}>}
+ */
+function openBrackets(text, offset) {
+  const stack = [];
+  const open = (char, at) => stack.push({ char, offset: at, lastComma: null });
+  const skipTo = (end, char, at) => {
+    if (end !== -1 && end < offset) return end;
+    open(char, at);
+    return offset;
+  };
+
+  for (let i = 0; i < offset; i++) {
+    const char = text[i];
+    const top = stack[stack.length - 1];
+
+    // Template literal text, up to its end or the next `${`
+    if (top && top.char === '`') {
+      if (char === '\\') i++;
+      else if (char === '`') stack.pop();
+      else if (char === '$' && text[i + 1] === '{') open('${', ++i);
+      continue;
+    }
+
+    if (char === '/' && text[i + 1] === '/') {
+      i = skipTo(text.indexOf('\n', i), '//', i);
+    } else if (char === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = skipTo(end === -1 ? -1 : end + 1, '/*', i);
+    } else if (char === "'" || char === '"') {
+      let end = i + 1;
+      while (end < text.length && text[end] !== char && text[end] !== '\n') end += text[end] === '\\' ? 2 : 1;
+      i = skipTo(end < text.length ? end : -1, char, i);
+    } else if (char === '`' || char === '(' || char === '[' || char === '{') {
+      open(char, i);
+    } else if (char === ')' || char === ']' || char === '}') {
+      const opening = { ')': '(', ']': '[', '}': '{' }[char];
+      if (top && (top.char === opening || (char === '}' && top.char === '${'))) stack.pop();
+    } else if (char === ',' && top) {
+      top.lastComma = i;
+    }
+  }
+  return stack;
+}
+
+/**
+ * Get the location a registration points to
+ * @param {{fileUri: string, range: any}} def - Indexed key info
+ * @returns {{uri: string, range: any}}
+ */
+function toLocation(def) {
+  return {
+    uri: toLspUri(def.fileUri),
+    range: def.range ? toRange(def.range) : lineRange(0, 0, 0)
+  };
+}
+
+/**
+ * Collect text edits and file creations into an LSP WorkspaceEdit. Files are
+ * given as index URIs.
+ * @returns {{replace: Function, insert: Function, createFile: Function, build: Function}}
+ */
+function workspaceEdit() {
+  const edits = new Map();
+  const created = [];
+
+  const add = (uri, range, newText) => {
+    if (!edits.has(uri)) edits.set(uri, []);
+    edits.get(uri).push({ range: toRange(range), newText });
+  };
+
+  return {
+    replace: add,
+    insert(uri, position, newText) {
+      add(uri, { start: position, end: position }, newText);
+    },
+    createFile(uri) {
+      created.push(uri);
+    },
+    // Plain `changes` unless files are created, which needs `documentChanges`
+    build() {
+      if (created.length === 0) {
+        const changes = {};
+        for (const [uri, textEdits] of edits) changes[toLspUri(uri)] = textEdits;
+        return { changes };
+      }
+      return {
+        documentChanges: [
+          ...created.map(uri => ({ kind: 'create', uri: toLspUri(uri), options: { ignoreIfExists: false } })),
+          ...[...edits].map(([uri, textEdits]) => ({ textDocument: { uri: toLspUri(uri), version: null }, edits: textEdits }))
+        ]
+      };
+    }
+  };
+}
+
+module.exports = {
+  toIndexUri,
+  toLspUri,
+  isSourceUri,
+  toRange,
+  lineRange,
+  lineText,
+  wordRangeAt,
+  openBrackets,
+  toLocation,
+  workspaceEdit
+};
@@ -0,0 +1,71 @@
+const { findUsageKey, usageKeyRange } = require('./definition');
+const { toIndexUri, toLspUri, toRange } = require('./lsp');
+
+/**
+ * Check if an index range contains a position
+ * @param {any} range
+ * @param {{line: number, character: number}} pos
+ * @returns {boolean}
+ */
+function containsPosition(range, pos) {
+  return !!range &&
+    range.start.line === pos.line &&
+    range.start.character <= pos.character &&
+    range.end.character >= pos.character;
+}
+
+/**
+ * Find the container key at a position: a registration key, an indexed usage,
+ * or (for files not indexed yet) a key recognized from the line text
+ * @param {any} index
+ * @param {import('vscode-languageserver-textdocument').TextDocument} doc
+ * @param {{line: number, character: number}} pos
+ * @returns {{key: string, range: any}|null}
+ */
+function findKeyAt(index, doc, pos) {
+  const uri = toIndexUri(doc.uri);
+
+  for (const keyInfo of index.registrations) {
+    const registration = keyInfo.registration;
+    if (registration && registration.uri === uri && keyInfo.source !== 'loadModules' &&
+        containsPosition(registration.range, pos)) {
+      return { key: keyInfo.key, range: toRange(registration.range) };
+    }
+  }
+
+  const ref = findUsageKey(index, doc, pos);
+  return ref ? { key: ref.key, range: ref.range } : null;
+}
+
+/**
+ * Create reference provider: every registration and usage of a key
+ * @param {Function} getIndex - Function to get current index
+ * @returns {{provideReferences: Function}}
+ */
+function referenceProvider(getIndex) {
+  return {
+    provideReferences(doc, pos, context) {
+      const index = getIndex();
+      const target = findKeyAt(index, doc, pos);
+      if (!target) return null;
+
+      const locations = [];
+
+      if (context.includeDeclaration) {
+        for (const keyInfo of index.registrations) {
+          if (keyInfo.key !== target.key || !keyInfo.registration) continue;
+          locations.push({ uri: toLspUri(keyInfo.registration.uri), range: toRange(keyInfo.registration.range) });
+        }
+      }
+
+      for (const ref of index.resolves) {
+        if (ref.key !== target.key) continue;
+        locations.push({ uri: toLspUri(ref.uri), range: usageKeyRange(ref) });
+      }
+
+      return locations;
+    }
+  };
+}
+
+module.exports = { referenceProvider, findKeyAt };
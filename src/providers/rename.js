@@ -0,0 +1,105 @@
+const path = require('path');
+const { ResponseError, LSPErrorCodes } = require('vscode-languageserver');
+const { findKeyAt } = require('./references');
+const { usageKeyRange } = require('./definition');
+const { renameInjectedKeys } = require('../parsers/rename');
+const { workspaceEdit } = require('./lsp');
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Build the error a rename request fails with, shown to the user as is
+ * @param {string} message
+ * @returns {ResponseError}
+ */
+function renameError(message) {
+  return new ResponseError(LSPErrorCodes.RequestFailed, message);
+}
+
+/**
+ * Find the key to rename at a position, rejecting keys that can't be renamed
+ * @param {any} index
+ * @param {import('vscode-languageserver-textdocument').TextDocument} doc
+ * @param {{line: number, character: number}} pos
+ * @returns {{key: string, range: any}}
+ */
+function findRenameTarget(index, doc, pos) {
+  const target = findKeyAt(index, doc, pos);
+  if (!target) {
+    throw renameError('Awilix: no container key at this position');
+  }
+
+  const registrations = index.registrations.filter(keyInfo => keyInfo.key === target.key);
+  if (registrations.length === 0) {
+    throw renameError(`Awilix: key "${target.key}" is not registered in any container`);
+  }
+  if (registrations.some(keyInfo => keyInfo.source === 'loadModules')) {
+    throw renameError(`Awilix: key "${target.key}" is derived from a file name by loadModules() and can't be renamed here`);
+  }
+
+  return target;
+}
+
+/**
+ * Create rename provider: renames a key in its registrations, resolve()
+ * strings, cradle accesses and destructured constructor/factory parameters
+ * @param {Function} getIndex - Function to get current index
+ * @param {{readText: Function, getSettings: Function}} workspace - Reads files (open documents first) and the current settings
+ * @returns {{prepareRename: Function, provideRenameEdits: Function}}
+ */
+function renameProvider(getIndex, workspace) {
+  return {
+    prepareRename(doc, pos) {
+      const target = findRenameTarget(getIndex(), doc, pos);
+      return { range: target.range, placeholder: target.key };
+    },
+
+    provideRenameEdits(doc, pos, newName) {
+      const index = getIndex();
+      const { key } = findRenameTarget(index, doc, pos);
+
+      if (!IDENTIFIER.test(newName)) {
+        throw renameError(`Awilix: "${newName}" is not a valid identifier`);
+      }
+
+      const renameLocals = workspace.getSettings().renameLocalVariables;
+      const edit = workspaceEdit();
+
+      // register({ userService: ... }) / register({ logger })
+      for (const keyInfo of index.registrations) {
+        if (keyInfo.key !== key || !keyInfo.registration) continue;
+        const { uri, range, shorthand } = keyInfo.registration;
+        edit.replace(uri, range, shorthand ? `${newName}: ${key}` : newName);
+      }
+
+      const injectionRanges = new Map();
+      for (const ref of index.resolves) {
+        if (ref.key !== key) continue;
+
+        if (ref.type === 'constructorInjection') {
+          if (!injectionRanges.has(ref.uri)) injectionRanges.set(ref.uri, []);
+          injectionRanges.get(ref.uri).push(ref.range);
+        } else {
+          edit.replace(ref.uri, usageKeyRange(ref), newName);
+        }
+      }
+
+      // Injected keys need the file's AST to know how the local is used
+      for (const [uri, ranges] of injectionRanges) {
+        const filePath = uri.replace('file://', '');
+        const { edits, conflicts } = renameInjectedKeys(workspace.readText(uri), ranges, newName, { renameLocals, filePath });
+        if (conflicts.length > 0) {
+          const line = conflicts[0].start.line + 1;
+          throw renameError(`Awilix: "${newName}" is already declared where "${key}" is injected as a parameter (${path.basename(filePath)}:${line})`);
+        }
+        for (const change of edits) {
+          edit.replace(uri, change.range, change.newText);
+        }
+      }
+
+      return edit.build();
+    }
+  };
+}
+
+module.exports = { renameProvider };
@@ -0,0 +1,60 @@
+const { MarkupKind } = require('vscode-languageserver');
+const { openBrackets } = require('./lsp');
+
+// What the options of asClass()/asFunction() do
+const OPTIONS_DOCUMENTATION = [
+  'Resolver options:',
+  '',
+  '- `lifetime`: `Lifetime.SINGLETON`, `SCOPED` or `TRANSIENT` (the default)',
+  '- `injectionMode`: `InjectionMode.PROXY` or `CLASSIC`, else the container\'s',
+  '- `injector`: `() => ({ ... })`, extra dependencies like `.inject()`',
+  '- `dispose`: `(instance) => ...`, called when the container is disposed, like `.disposer()`'
+].join('\n');
+
+const SIGNATURES = {
+  asClass: {
+    label: 'asClass(Type, options?)',
+    documentation: 'Register a class, constructed with its dependencies',
+    parameters: [
+      { label: 'Type', documentation: 'The class to construct' },
+      { label: 'options?', documentation: { kind: MarkupKind.Markdown, value: OPTIONS_DOCUMENTATION } }
+    ]
+  },
+  asFunction: {
+    label: 'asFunction(fn, options?)',
+    documentation: 'Register a factory, called with its dependencies',
+    parameters: [
+      { label: 'fn', documentation: 'The factory to call' },
+      { label: 'options?', documentation: { kind: MarkupKind.Markdown, value: OPTIONS_DOCUMENTATION } }
+    ]
+  }
+};
+
+/**
+ * Create signature help provider: the parameters of asClass()/asFunction(),
+ * the resolver options in particular
+ * @returns {{provideSignatureHelp: Function}}
+ */
+function signatureHelpProvider() {
+  return {
+    provideSignatureHelp(doc, pos) {
+      const text = doc.getText();
+      const brackets = openBrackets(text, doc.offsetAt(pos));
+      const top = brackets[brackets.length - 1];
+      if (!top || !'([{'.includes(top.char)) return null;
+
+      // The innermost call the cursor is in, when it is asClass( or asFunction(
+      const call = brackets.filter(bracket => bracket.char === '(').pop();
+      const match = call && text.slice(0, call.offset).match(/\bas(Class|Function)\s*$/);
+      if (!match) return null;
+
+      return {
+        signatures: [SIGNATURES[`as${match[1]}`]],
+        activeSignature: 0,
+        activeParameter: call.lastComma !== null ? 1 : 0
+      };
+    }
+  };
+}
+
+module.exports = { signatureHelpProvider };
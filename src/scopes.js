@@ -0,0 +1,456 @@
+/**
+ * Container tree and key visibility.
+ *
+ * Containers form a tree: roots come from createContainer(), children from
+ * createScope(). A key is visible from a container when it is registered in
+ * that container or one of its ancestors; the nearest registration wins.
+ * Containers only known by name (e.g. a `container` function parameter) are
+ * "open": keys registered through them are visible everywhere and usages on
+ * them may resolve any key.
+ */
+
+// Test files, whose registrations override the application's on purpose
+const TEST_FILE = /(?:^|\/)(?:__tests__|__mocks__|tests?|spec)\/|\.(?:test|spec)\.[cm]?[jt]sx?$/;
+
+/**
+ * Check if a file is a test file or test helper
+ * @param {string} uri
+ * @returns {boolean}
+ */
+function isTestFile(uri) {
+  return TEST_FILE.test(uri);
+}
+
+/**
+ * Get where a key is registered: its registration, or what it is registered from
+ * @param {any} keyInfo
+ * @returns {{uri: string, range: any}}
+ */
+function registrationSite(keyInfo) {
+  return keyInfo.registration || { uri: keyInfo.fileUri, range: keyInfo.range };
+}
+
+/**
+ * Compare two registrations by the order they run in. Within a file that is
+ * source order. A module registering into a container it imports runs after
+ * the module creating the container, so registrations in the container's own
+ * file come first; the order of other files is unknown and follows their paths.
+ * Registrations from test files only run in tests: they come before all
+ * others, so the application's registrations are the ones resolved.
+ * @param {{containers: Map}} index
+ * @param {any} a - Key info
+ * @param {any} b - Key info
+ * @returns {number}
+ */
+function compareRegistrations(index, a, b) {
+  const rank = (keyInfo) => {
+    const container = index.containers.get(keyInfo.container);
+    if (isTestFile(registrationSite(keyInfo).uri)) return 0;
+    return container && container.uri === registrationSite(keyInfo).uri ? 1 : 2;
+  };
+  const siteA = registrationSite(a);
+  const siteB = registrationSite(b);
+  const startA = siteA.range ? siteA.range.start : { line: 0, character: 0 };
+  const startB = siteB.range ? siteB.range.start : { line: 0, character: 0 };
+  return rank(a) - rank(b) ||
+    siteA.uri.localeCompare(siteB.uri) ||
+    startA.line - startB.line ||
+    startA.character - startB.character;
+}
+
+/**
+ * Fold name-only containers into the declared container with the same name,
+ * when there is exactly one, put registrations in registration order (see
+ * compareRegistrations) and group them by container and by key. The last
+ * registration of a key in a container is the one Awilix keeps. Injections
+ * are only kept for classes and functions registered somewhere, directly or
+ * through a subclass, in the form the injection mode of their registrations
+ * reads (see indexFile): other functions' parameters are not injected.
+ * @param {{keys: Map, keyRegistrations: Map, registrations: Array, resolves: Array, containers: Map, registerCalls: Array, inherits: Map}} index
+ */
+function linkContainers(index) {
+  const declaredByName = new Map();
+  for (const container of index.containers.values()) {
+    if (container.kind === 'named') continue;
+    if (!declaredByName.has(container.name)) declaredByName.set(container.name, []);
+    declaredByName.get(container.name).push(container);
+  }
+
+  const aliases = new Map();
+  for (const container of index.containers.values()) {
+    if (container.kind !== 'named') continue;
+    const candidates = declaredByName.get(container.name) || [];
+    if (candidates.length === 1) aliases.set(container.id, candidates[0].id);
+  }
+  for (const id of aliases.keys()) {
+    index.containers.delete(id);
+  }
+  for (const container of index.containers.values()) {
+    if (aliases.has(container.parent)) container.parent = aliases.get(container.parent);
+  }
+  for (const call of index.registerCalls) {
+    if (aliases.has(call.container)) call.container = aliases.get(call.container);
+  }
+
+  for (const keyInfo of index.registrations) {
+    if (aliases.has(keyInfo.container)) keyInfo.container = aliases.get(keyInfo.container);
+  }
+  index.registrations.sort((a, b) => compareRegistrations(index, a, b));
+
+  index.containerKeys = new Map();
+  index.keyRegistrations = new Map();
+  index.keys = new Map();
+  for (const keyInfo of index.registrations) {
+    if (!index.containerKeys.has(keyInfo.container)) index.containerKeys.set(keyInfo.container, new Map());
+    index.containerKeys.get(keyInfo.container).set(keyInfo.key, keyInfo);
+    if (!index.keyRegistrations.has(keyInfo.key)) index.keyRegistrations.set(keyInfo.key, []);
+    index.keyRegistrations.get(keyInfo.key).push(keyInfo);
+    index.keys.set(keyInfo.key, keyInfo);
+  }
+
+  for (const ref of index.resolves) {
+    if (aliases.has(ref.container)) ref.container = aliases.get(ref.container);
+  }
+
+  // What each registration constructs, grouped by file, parent classes included
+  index.targets = new Map();
+  for (const keyInfo of index.registrations) {
+    for (const target of getRegistrationTargets(index, keyInfo)) {
+      if (!index.targets.has(target.fileUri)) index.targets.set(target.fileUri, []);
+      index.targets.get(target.fileUri).push({ keyInfo, exportName: target.exportName });
+    }
+  }
+  index.resolves = index.resolves.filter(ref => {
+    if (!ref.injection) return true;
+    const mode = ref.injection === 'positional' ? 'classic' : 'proxy';
+    return getOwnerRegistrations(index, ref.uri, ref.owner).some(keyInfo => getInjectionMode(index, keyInfo) === mode);
+  });
+}
+
+/**
+ * Get the classes/functions a registration injects into: what it registers,
+ * then, for classes, the parent classes that receive its injections (see
+ * describeInheritance in indexFile), nearest first. `super(deps)` only hands
+ * the dependencies on in PROXY mode; CLASSIC mode reads the parameters of the
+ * subclass' own constructor.
+ * @param {any} index
+ * @param {any} keyInfo
+ * @returns {Array<{fileUri: string, exportName: string, inherited: boolean}>}
+ */
+function getRegistrationTargets(index, keyInfo) {
+  if (keyInfo.kind === 'value') return [];
+  const targets = [{ fileUri: keyInfo.fileUri, exportName: keyInfo.exportName || 'default', inherited: false }];
+  if (keyInfo.kind !== 'class' || !index.inherits) return targets;
+
+  const mode = getInjectionMode(index, keyInfo);
+  const seen = new Set([`${targets[0].fileUri}#${targets[0].exportName}`]);
+  for (let current = targets[0]; current;) {
+    const entry = (index.inherits.get(current.fileUri) || []).find(inherit =>
+      ownerIs(inherit.owner, current.exportName) && (inherit.via === 'implicit' || mode === 'proxy'));
+    current = null;
+    if (!entry) break;
+
+    const id = `${entry.base.fileUri}#${entry.base.exportName}`;
+    if (!entry.base.exportName || seen.has(id)) break;
+    seen.add(id);
+    current = { fileUri: entry.base.fileUri, exportName: entry.base.exportName, inherited: true };
+    targets.push(current);
+  }
+  return targets;
+}
+
+/**
+ * Check if an export name designates the class/function owning an injection site
+ * @param {{name: string|null, exports: string[]}} owner
+ * @param {string} exportName
+ * @returns {boolean}
+ */
+function ownerIs(owner, exportName) {
+  return !!owner && (exportName === owner.name || owner.exports.includes(exportName));
+}
+
+/**
+ * Get the injection mode a registration is resolved with: its own, else the
+ * one of the container it is registered in (scopes inherit it), else PROXY
+ * @param {{containers: Map}} index
+ * @param {any} keyInfo
+ * @returns {'proxy'|'classic'}
+ */
+function getInjectionMode(index, keyInfo) {
+  if (keyInfo.injectionMode) return keyInfo.injectionMode;
+  for (const id of getContainerChain(index, keyInfo.container)) {
+    const container = index.containers.get(id);
+    if (container && container.injectionMode) return container.injectionMode;
+  }
+  return 'proxy';
+}
+
+/**
+ * Check if a container is open (unknown origin), so visibility can't be reasoned about
+ * @param {{containers: Map}} index
+ * @param {string|null|undefined} containerId
+ * @returns {boolean}
+ */
+function isOpenContainer(index, containerId) {
+  const container = containerId && index.containers.get(containerId);
+  return !container || container.kind === 'named';
+}
+
+/**
+ * Get a container followed by its ancestors, nearest first
+ * @param {{containers: Map}} index
+ * @param {string} containerId
+ * @returns {string[]}
+ */
+function getContainerChain(index, containerId) {
+  const chain = [];
+  const seen = new Set();
+  let current = containerId;
+  while (current && !seen.has(current)) {
+    seen.add(current);
+    chain.push(current);
+    const container = index.containers.get(current);
+    current = container ? container.parent : null;
+  }
+  return chain;
+}
+
+/**
+ * Check if a container is a (transitive) child scope of another
+ * @param {{containers: Map}} index
+ * @param {string} containerId
+ * @param {string} ancestorId
+ * @returns {boolean}
+ */
+function isDescendant(index, containerId, ancestorId) {
+  return containerId !== ancestorId && getContainerChain(index, containerId).includes(ancestorId);
+}
+
+/**
+ * Get the display name of a container
+ * @param {{containers: Map}} index
+ * @param {string|null|undefined} containerId
+ * @returns {string}
+ */
+function getContainerName(index, containerId) {
+  const container = containerId && index.containers.get(containerId);
+  return container ? container.name : 'container';
+}
+
+/**
+ * Get every key visible from a container, nearest registration first
+ * @param {{keys: Map, containers: Map, containerKeys: Map}} index
+ * @param {string|null|undefined} containerId
+ * @returns {Map<string, any>}
+ */
+function getVisibleKeys(index, containerId) {
+  if (isOpenContainer(index, containerId)) return index.keys;
+
+  const visible = new Map();
+  for (const [id, keys] of index.containerKeys) {
+    if (!isOpenContainer(index, id)) continue;
+    for (const [key, keyInfo] of keys) visible.set(key, keyInfo);
+  }
+  for (const id of getContainerChain(index, containerId).reverse()) {
+    const keys = index.containerKeys.get(id);
+    if (!keys) continue;
+    for (const [key, keyInfo] of keys) visible.set(key, keyInfo);
+  }
+  return visible;
+}
+
+/**
+ * Find the registration a key resolves to from a container
+ * @param {{keys: Map, containers: Map, containerKeys: Map}} index
+ * @param {string} key
+ * @param {string|null|undefined} containerId
+ * @returns {any|null}
+ */
+function findRegistration(index, key, containerId) {
+  if (isOpenContainer(index, containerId)) return index.keys.get(key) || null;
+  return getVisibleKeys(index, containerId).get(key) || null;
+}
+
+/**
+ * Find registrations of a key made only in child scopes of a container
+ * @param {{containers: Map, containerKeys: Map}} index
+ * @param {string} key
+ * @param {string} containerId
+ * @returns {Array}
+ */
+function findScopedRegistrations(index, key, containerId) {
+  const found = [];
+  for (const [id, keys] of index.containerKeys) {
+    if (keys.has(key) && isDescendant(index, id, containerId)) found.push(keys.get(key));
+  }
+  return found;
+}
+
+/**
+ * Find the registrations of the class/function owning an injection site,
+ * including the registrations of subclasses it passes its injections to
+ * (see getRegistrationTargets), in registration order
+ * @param {{targets: Map}} index
+ * @param {string} uri
+ * @param {{name: string|null, exports: string[]}} owner
+ * @returns {Array}
+ */
+function getOwnerRegistrations(index, uri, owner) {
+  const registrations = new Set();
+  for (const target of (index.targets && index.targets.get(uri)) || []) {
+    if (ownerIs(owner, target.exportName)) registrations.add(target.keyInfo);
+  }
+  return [...registrations];
+}
+
+/**
+ * Get the injection sites a registration's dependencies come from: those of
+ * the class/function it registers and of the parent classes it inherits
+ * from, in the form its injection mode reads
+ * @param {any} index
+ * @param {any} keyInfo
+ * @returns {Array<{ref: any, inherited: boolean}>}
+ */
+function getRegistrationInjections(index, keyInfo) {
+  const mode = getInjectionMode(index, keyInfo);
+  const injections = [];
+  for (const target of getRegistrationTargets(index, keyInfo)) {
+    for (const ref of index.resolves) {
+      if (!ref.injection || ref.uri !== target.fileUri || !ownerIs(ref.owner, target.exportName)) continue;
+      if ((ref.injection === 'positional' ? 'classic' : 'proxy') !== mode) continue;
+      injections.push({ ref, inherited: target.inherited });
+    }
+  }
+  return injections;
+}
+
+/**
+ * Get the keys an injection site can see: the union of what is visible from
+ * every container its owner is registered in, plus keys of child scopes when
+ * the owner is not a singleton (it may be resolved from those scopes)
+ * @param {any} index
+ * @param {string} uri
+ * @param {{name: string|null, exports: string[]}} owner
+ * @returns {Map<string, any>}
+ */
+function getInjectableKeys(index, uri, owner) {
+  const registrations = getOwnerRegistrations(index, uri, owner);
+  if (registrations.length === 0) return index.keys;
+
+  const keys = new Map();
+  for (const registration of registrations) {
+    if (isOpenContainer(index, registration.container)) return index.keys;
+    for (const [key, keyInfo] of getVisibleKeys(index, registration.container)) {
+      if (!keys.has(key)) keys.set(key, keyInfo);
+    }
+    if (registration.lifetime === 'singleton') continue;
+    for (const [id, scopeKeys] of index.containerKeys) {
+      if (!isDescendant(index, id, registration.container)) continue;
+      for (const [key, keyInfo] of scopeKeys) {
+        if (!keys.has(key)) keys.set(key, keyInfo);
+      }
+    }
+  }
+  return keys;
+}
+
+/**
+ * Find the container a receiver name refers to in a file, using the usages
+ * and containers indexed for that file
+ * @param {any} index
+ * @param {string} uri
+ * @param {string} receiver - e.g. `container`, `scope`
+ * @returns {string|null}
+ */
+function findContainerByReceiver(index, uri, receiver) {
+  const ref = index.resolves.find(r => r.uri === uri && r.receiver === receiver && r.container);
+  if (ref) return ref.container;
+
+  for (const container of index.containers.values()) {
+    if (container.uri === uri && container.name === receiver) return container.id;
+  }
+  return null;
+}
+
+/**
+ * Find the indexed usage at a position
+ * @param {{resolves: Array}} index
+ * @param {string} uri
+ * @param {{line: number, character: number}} pos
+ * @returns {any|null}
+ */
+function findUsageAt(index, uri, pos) {
+  return index.resolves.find(ref =>
+    ref.uri === uri &&
+    ref.range &&
+    ref.range.start.line === pos.line &&
+    ref.range.start.character <= pos.character &&
+    ref.range.end.character >= pos.character
+  ) || null;
+}
+
+/**
+ * Find the registration a usage resolves to, honoring its container or, for
+ * injection sites, the containers the owning class/function is registered in
+ * @param {any} index
+ * @param {string} key
+ * @param {any|null} ref - Indexed usage, if known
+ * @returns {any|null}
+ */
+function resolveUsage(index, key, ref) {
+  if (ref && ref.container) return findRegistration(index, key, ref.container);
+  if (ref && ref.owner) return getInjectableKeys(index, ref.uri, ref.owner).get(key) || null;
+  return index.keys.get(key) || null;
+}
+
+/**
+ * Get every registration a usage may resolve to: the one it resolves to first
+ * (see resolveUsage), then, latest first, the registrations it hides or may
+ * resolve to from another container: earlier registrations in the same
+ * container, registrations shadowed by a child scope, registrations in the
+ * other containers an injection site's owner is registered in
+ * @param {any} index
+ * @param {string} key
+ * @param {any|null} ref - Indexed usage, if known
+ * @returns {Array} Empty when the key doesn't resolve
+ */
+function resolveCandidates(index, key, ref) {
+  const resolved = resolveUsage(index, key, ref);
+  if (!resolved) return [];
+
+  // Containers the usage may resolve from, null when it may be any
+  let containers = null;
+  if (ref && ref.container && !isOpenContainer(index, ref.container)) {
+    containers = new Set(getContainerChain(index, ref.container));
+  } else if (ref && ref.owner) {
+    const owners = getOwnerRegistrations(index, ref.uri, ref.owner);
+    if (owners.length > 0 && !owners.some(owner => isOpenContainer(index, owner.container))) {
+      containers = new Set(owners.flatMap(owner => getContainerChain(index, owner.container)));
+    }
+  }
+
+  const others = (index.keyRegistrations.get(key) || []).filter(keyInfo => keyInfo !== resolved &&
+    (!containers || containers.has(keyInfo.container) || isOpenContainer(index, keyInfo.container)));
+  return [resolved, ...others.reverse()];
+}
+
+module.exports = {
+  isTestFile,
+  registrationSite,
+  linkContainers,
+  getInjectionMode,
+  isOpenContainer,
+  getContainerChain,
+  getContainerName,
+  getVisibleKeys,
+  findRegistration,
+  findScopedRegistrations,
+  getRegistrationTargets,
+  getOwnerRegistrations,
+  getRegistrationInjections,
+  getInjectableKeys,
+  findContainerByReceiver,
+  findUsageAt,
+  resolveUsage,
+  resolveCandidates
+};
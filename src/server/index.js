@@ -0,0 +1,425 @@
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const {
+  createConnection,
+  ProposedFeatures,
+  TextDocuments,
+  TextDocumentSyncKind,
+  CodeActionKind,
+  DidChangeConfigurationNotification,
+  DidChangeWatchedFilesNotification,
+  FileChangeType
+} = require('vscode-languageserver/node');
+const { TextDocument } = require('vscode-languageserver-textdocument');
+const { createIndex, buildIndex, updateIndex, revalidateIndex } = require('../indexer');
+const { batchFileChanges, watchOpenDocuments } = require('../watchers');
+const { cacheKey, loadIndexCache, saveIndexCache } = require('../cache');
+const { SOURCE_EXTENSIONS, SOURCE_GLOB } = require('../parsers/ast');
+const { buildDependencyGraph, toGraphData } = require('../graph');
+const { writeCradleFile } = require('../cradle');
+const { findUnusedRegistrations } = require('../problems');
+const { getContainerName } = require('../scopes');
+const { definitionProvider } = require('../providers/definition');
+const { completionProvider } = require('../providers/completion');
+const { hoverProvider } = require('../providers/hover');
+const { signatureHelpProvider } = require('../providers/signatureHelp');
+const { diagnosticsRunner, createDiagnosticCollection } = require('../providers/diagnostics');
+const { referenceProvider } = require('../providers/references');
+const { renameProvider } = require('../providers/rename');
+const { codeActionProvider } = require('../providers/codeActions');
+const { isSourceUri, toLspUri, toRange, toLocation } = require('../providers/lsp');
+const { COMMANDS, DEPENDENCY_GRAPH_REQUEST, INDEX_CHANGED_NOTIFICATION } = require('./protocol');
+
+/**
+ * Awilix language server. It hosts the index of the workspace folders and
+ * answers LSP requests from it; the VS Code extension is one of its clients.
+ *
+ * Settings are the extension's (`awilixHelper.*`), read from the client with
+ * workspace/configuration, or from the `settings` initialization option for
+ * clients without it. The `storagePath` initialization option is a directory
+ * where the index is cached between sessions.
+ */
+
+const DEFAULT_SETTINGS = {
+  indexIgnore: [],
+  loadModulesGlobs: ['src/**/*.js'],
+  registerContainerNames: ['container'],
+  generateCradleFile: false,
+  cradleFilePath: 'awilix-cradle.js',
+  renameLocalVariables: false,
+  ignoreUnusedKeys: []
+};
+
+const FILE_CHANGE_KINDS = {
+  [FileChangeType.Created]: 'created',
+  [FileChangeType.Changed]: 'changed',
+  [FileChangeType.Deleted]: 'deleted'
+};
+
+const version = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'package.json'), 'utf-8')).version;
+
+/**
+ * Describe the index for the status command
+ * @param {ReturnType<typeof createIndex>} index
+ * @returns {string}
+ */
+function indexStatusReport(index) {
+  const lines = ['=== Awilix Helper - Current Index Status ===', ''];
+
+  lines.push(`Total keys registered: ${index.keys.size}`);
+  lines.push(`Total resolves/usages found: ${index.resolves.length}`, '');
+
+  lines.push('=== Containers ===');
+  for (const container of index.containers.values()) {
+    const parent = container.parent && index.containers.get(container.parent);
+    const keyCount = index.containerKeys.has(container.id) ? index.containerKeys.get(container.id).size : 0;
+    lines.push(`• ${container.name} (${parent ? 'scope of ' + parent.name : container.kind}): ${keyCount} keys`);
+  }
+  lines.push('');
+
+  lines.push('=== Registered Keys ===');
+  for (const [key, meta] of index.keys.entries()) {
+    lines.push('', `• ${key}`);
+    lines.push(`  Kind: ${meta.kind}`);
+    const container = meta.container && index.containers.get(meta.container);
+    if (container) lines.push(`  Container: ${container.name}`);
+    if (meta.lifetime) lines.push(`  Lifetime: ${meta.lifetime}`);
+    lines.push(`  File: ${meta.fileUri.replace('file://', '')}`);
+    if (meta.exportName) lines.push(`  Export: ${meta.exportName}`);
+  }
+
+  lines.push('', '=== Usages by Type ===');
+  const usagesByType = {};
+  for (const resolve of index.resolves) {
+    usagesByType[resolve.type] = (usagesByType[resolve.type] || 0) + 1;
+  }
+  for (const [type, count] of Object.entries(usagesByType)) {
+    lines.push(`${type}: ${count}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Get the workspace folders of an initialize request, in the shape the indexer takes
+ * @param {import('vscode-languageserver').InitializeParams} params
+ * @returns {Array<{uri: {fsPath: string}}>}
+ */
+function getWorkspaceFolders(params) {
+  if (params.workspaceFolders && params.workspaceFolders.length > 0) {
+    return params.workspaceFolders.map(folder => ({ uri: { fsPath: fileURLToPath(folder.uri) } }));
+  }
+  if (params.rootUri) return [{ uri: { fsPath: fileURLToPath(params.rootUri) } }];
+  if (params.rootPath) return [{ uri: { fsPath: params.rootPath } }];
+  return [];
+}
+
+/**
+ * Start the language server
+ * @param {import('vscode-languageserver').Connection} connection - Defaults to the
+ *   transport given on the command line (--stdio, --node-ipc or --socket=<port>)
+ */
+function startServer(connection = createConnection(ProposedFeatures.all)) {
+  const documents = new TextDocuments(TextDocument);
+  // Logs show in the client's output for the server
+  const logger = { appendLine: (line) => connection.console.log(line) };
+
+  let workspaceFolders = [];
+  let clientCapabilities = {};
+  let initSettings = {};
+  let settings = { ...DEFAULT_SETTINGS };
+  const indexOptions = {
+    loadModulesGlobs: settings.loadModulesGlobs,
+    registerContainerNames: settings.registerContainerNames,
+    // Unsaved content of modified open documents, indexed instead of the files on disk
+    overlays: new Map()
+  };
+
+  let index = createIndex();
+  // A cancelled build leaves the index incomplete: rather than reporting keys
+  // from files never parsed, diagnostics, the cradle file and the cache wait for a rebuild
+  let indexComplete = true;
+
+  // Per-file results of the last session, keyed by the server version and indexing settings
+  const cache = { file: null, key: null, timer: null };
+  const cacheSettings = () => ({
+    indexIgnore: settings.indexIgnore,
+    loadModulesGlobs: settings.loadModulesGlobs,
+    registerContainerNames: settings.registerContainerNames
+  });
+
+  const saveCache = () => {
+    clearTimeout(cache.timer);
+    cache.timer = null;
+    if (cache.file && indexComplete) saveIndexCache(cache.file, cache.key, index, logger);
+  };
+  // Updates come in bursts while typing: write the cache once things settle
+  const scheduleCacheSave = () => {
+    clearTimeout(cache.timer);
+    cache.timer = setTimeout(saveCache, 5000);
+  };
+
+  const diagnostics = createDiagnosticCollection(connection);
+
+  // Keep the cradle typedef file in sync with the index
+  const updateCradleFile = () => {
+    if (!settings.generateCradleFile) return;
+    for (const folder of workspaceFolders) {
+      writeCradleFile(index, folder.uri.fsPath, settings.cradleFilePath, logger);
+    }
+  };
+
+  /**
+   * Read the settings from the client
+   * @returns {Promise<typeof DEFAULT_SETTINGS>}
+   */
+  const loadSettings = async () => {
+    const supported = clientCapabilities.workspace && clientCapabilities.workspace.configuration;
+    const section = supported ? await connection.workspace.getConfiguration('awilixHelper') : initSettings;
+    const loaded = { ...DEFAULT_SETTINGS };
+    for (const [name, value] of Object.entries(section || {})) {
+      if (name in DEFAULT_SETTINGS && value !== undefined && value !== null) loaded[name] = value;
+    }
+    return loaded;
+  };
+
+  const applySettings = (next) => {
+    settings = next;
+    indexOptions.loadModulesGlobs = settings.loadModulesGlobs;
+    indexOptions.registerContainerNames = settings.registerContainerNames;
+    cache.key = cacheKey(version, cacheSettings());
+  };
+
+  // Index updates run one at a time, in the order they were requested
+  let pendingUpdate = Promise.resolve();
+  const enqueue = (task) => {
+    pendingUpdate = pendingUpdate.then(task).catch(error => {
+      logger.appendLine(`ERROR updating index: ${error.message}`);
+    });
+    return pendingUpdate;
+  };
+
+  const runDiagnostics = (affected) => diagnosticsRunner(index, diagnostics, affected, { ignoreUnusedKeys: settings.ignoreUnusedKeys });
+
+  // Publish the current index to the diagnostics, the client's views and the cradle file
+  const publishIndex = (affected) => {
+    connection.sendNotification(INDEX_CHANGED_NOTIFICATION);
+    if (!indexComplete) return;
+    runDiagnostics(affected);
+    updateCradleFile();
+  };
+
+  // Index the whole workspace, or only what changed since the cache was written,
+  // reporting cancellable progress to the client
+  const indexWorkspace = async (fromScratch) => {
+    const progress = await connection.window.createWorkDoneProgress();
+    progress.begin('Awilix: indexing', 0, undefined, true);
+
+    let percent = 0;
+    const onProgress = (done, total) => {
+      const next = Math.floor((done / total) * 100);
+      if (next === percent && done < total) return;
+      progress.report(next, `${done}/${total} files`);
+      percent = next;
+    };
+    const token = progress.token;
+    const options = { ...indexOptions, token, onProgress };
+
+    let affected = null;
+    try {
+      if (fromScratch) {
+        logger.appendLine('Building Awilix index...');
+        index = await buildIndex(workspaceFolders, settings.indexIgnore, logger, options);
+      } else {
+        logger.appendLine('Checking the index cache for stale files...');
+        affected = await revalidateIndex(index, workspaceFolders, settings.indexIgnore, logger, options);
+      }
+    } finally {
+      progress.done();
+    }
+
+    indexComplete = !token.isCancellationRequested;
+    if (!indexComplete) {
+      diagnostics.clear();
+      logger.appendLine('Indexing cancelled: diagnostics are disabled until the index is rebuilt');
+      connection.window.showWarningMessage('Awilix indexing was cancelled. Run "Awilix: Rebuild Index" to enable diagnostics again.');
+    }
+
+    logger.appendLine(`Indexed ${index.keys.size} Awilix keys`);
+    publishIndex(affected);
+    saveCache();
+  };
+
+  // Only changed files (and their dependents) are re-parsed
+  const applyChanges = (changes) => enqueue(async () => {
+    const count = changes.changed.size + changes.created.size + changes.deleted.size;
+    logger.appendLine(`${count} file(s) changed, updating Awilix index...`);
+    const affected = await updateIndex(index, changes, workspaceFolders, settings.indexIgnore, logger, indexOptions);
+    logger.appendLine(`Re-indexed ${affected.uris.size} files, ${index.keys.size} Awilix keys`);
+    publishIndex(affected);
+    scheduleCacheSave();
+  });
+
+  // Files outside the index (e.g. created by a quick fix and not saved yet) are read from open documents first
+  const readText = (uri) => {
+    const doc = documents.get(toLspUri(uri));
+    return doc ? doc.getText() : fs.readFileSync(uri.replace('file://', ''), 'utf-8');
+  };
+  const workspace = { readText, getSettings: () => settings };
+
+  const getIndex = () => index;
+  const definition = definitionProvider(getIndex);
+  const completion = completionProvider(getIndex);
+  const hover = hoverProvider(getIndex);
+  const signatureHelp = signatureHelpProvider();
+  const references = referenceProvider(getIndex);
+  const rename = renameProvider(getIndex, workspace);
+  const codeActions = codeActionProvider(getIndex, workspace);
+
+  // Run a provider on the document a request is about
+  const withDocument = (handler) => (params) => {
+    const doc = documents.get(params.textDocument.uri);
+    if (!doc || !isSourceUri(doc.uri, SOURCE_EXTENSIONS)) return null;
+    return handler(doc, params);
+  };
+
+  connection.onInitialize((params) => {
+    workspaceFolders = getWorkspaceFolders(params);
+    clientCapabilities = params.capabilities || {};
+    const initializationOptions = params.initializationOptions || {};
+    initSettings = initializationOptions.settings || {};
+    if (initializationOptions.storagePath) {
+      cache.file = path.join(initializationOptions.storagePath, 'index-cache.json');
+    }
+
+    return {
+      capabilities: {
+        textDocumentSync: { openClose: true, change: TextDocumentSyncKind.Incremental, save: { includeText: false } },
+        definitionProvider: true,
+        completionProvider: {
+          triggerCharacters: [
+            '.', // cradle. and asClass(X).
+            "'", // resolve('')
+            '"',
+            '{', // constructor({...}) and register({...})
+            ',' // multiple params in constructor, next registration
+          ]
+        },
+        hoverProvider: true,
+        signatureHelpProvider: { triggerCharacters: ['(', ','] },
+        referencesProvider: true,
+        renameProvider: { prepareProvider: true },
+        codeActionProvider: { codeActionKinds: [CodeActionKind.QuickFix] },
+        executeCommandProvider: { commands: Object.values(COMMANDS) }
+      },
+      serverInfo: { name: 'awilix-language-server', version }
+    };
+  });
+
+  connection.onInitialized(async () => {
+    logger.appendLine('Awilix language server is now active');
+    if (workspaceFolders.length === 0) {
+      logger.appendLine('No workspace folder found, nothing to index');
+      return;
+    }
+
+    const workspaceCapabilities = clientCapabilities.workspace || {};
+    if (workspaceCapabilities.didChangeConfiguration && workspaceCapabilities.didChangeConfiguration.dynamicRegistration) {
+      connection.client.register(DidChangeConfigurationNotification.type, undefined);
+    }
+    // Clients that can't watch files for the server only report changes to open documents
+    if (workspaceCapabilities.didChangeWatchedFiles && workspaceCapabilities.didChangeWatchedFiles.dynamicRegistration) {
+      connection.client.register(DidChangeWatchedFilesNotification.type, { watchers: [{ globPattern: SOURCE_GLOB }] });
+    }
+
+    applySettings(await loadSettings());
+
+    // Requests are answered from the cached index right away; it is brought up to date in the background
+    const cached = cache.file && loadIndexCache(cache.file, cache.key, logger);
+    if (cached) {
+      index = cached;
+      logger.appendLine(`Loaded ${index.files.size} files and ${index.keys.size} Awilix keys from the index cache`);
+      runDiagnostics(null);
+    }
+
+    // Revalidate the cached index, or build it from scratch
+    enqueue(() => indexWorkspace(!cached));
+  });
+
+  // Watch for file changes on disk, and for edits in open editors before they are saved
+  const fileChanges = batchFileChanges(applyChanges);
+  connection.onDidChangeWatchedFiles(({ changes }) => {
+    for (const change of changes) {
+      if (isSourceUri(change.uri, SOURCE_EXTENSIONS)) fileChanges.record(FILE_CHANGE_KINDS[change.type], fileURLToPath(change.uri));
+    }
+  });
+  const documentWatcher = watchOpenDocuments(documents, indexOptions.overlays, applyChanges);
+
+  // Settings changed: rebuild the index when indexing settings did
+  connection.onDidChangeConfiguration((change) => {
+    if (change.settings && change.settings.awilixHelper) initSettings = change.settings.awilixHelper;
+    enqueue(async () => {
+      const previousKey = cache.key;
+      applySettings(await loadSettings());
+      if (cache.key === previousKey) {
+        if (indexComplete) runDiagnostics(null);
+        updateCradleFile();
+        return;
+      }
+      logger.appendLine('Configuration changed, rebuilding index...');
+      await indexWorkspace(true);
+    });
+  });
+
+  connection.onDefinition(withDocument((doc, params) => definition.provideDefinition(doc, params.position)));
+  connection.onCompletion(withDocument((doc, params) => completion.provideCompletionItems(doc, params.position)));
+  connection.onHover(withDocument((doc, params) => hover.provideHover(doc, params.position)));
+  connection.onSignatureHelp(withDocument((doc, params) => signatureHelp.provideSignatureHelp(doc, params.position)));
+  connection.onReferences(withDocument((doc, params) => references.provideReferences(doc, params.position, params.context)));
+  connection.onPrepareRename(withDocument((doc, params) => rename.prepareRename(doc, params.position)));
+  connection.onRenameRequest(withDocument((doc, params) => rename.provideRenameEdits(doc, params.position, params.newName)));
+  connection.onCodeAction(withDocument((doc, params) => codeActions.provideCodeActions(doc, params.range, params.context)));
+
+  connection.onExecuteCommand(async ({ command, arguments: args }) => {
+    switch (command) {
+      case COMMANDS.indexStatus:
+        return indexStatusReport(index);
+      case COMMANDS.rebuildIndex:
+        await enqueue(() => indexWorkspace(true));
+        return null;
+      case COMMANDS.openFile:
+        await connection.window.showDocument({ uri: args[0], takeFocus: true });
+        return null;
+      case COMMANDS.listUnusedRegistrations:
+        return findUnusedRegistrations(index, settings.ignoreUnusedKeys).map(problem => ({
+          key: problem.key,
+          container: getContainerName(index, problem.container),
+          location: { uri: toLspUri(problem.uri), range: toRange(problem.range) }
+        }));
+    }
+    return null;
+  });
+
+  connection.onRequest(DEPENDENCY_GRAPH_REQUEST, ({ focus }) => {
+    const graph = buildDependencyGraph(index);
+    const data = toGraphData(index, graph, focus || null);
+    // Node ids of registrations are `r<n>`, n the registration's position in the graph
+    for (const node of data.nodes) {
+      const match = /^r(\d+)$/.exec(node.id);
+      if (match) node.location = toLocation(graph.nodes[Number(match[1])]);
+    }
+    return { data, keys: [...index.keys.keys()].sort() };
+  });
+
+  connection.onShutdown(() => {
+    fileChanges.dispose();
+    documentWatcher.dispose();
+    if (cache.timer) saveCache();
+  });
+
+  documents.listen(connection);
+  connection.listen();
+}
+
+module.exports = { startServer, indexStatusReport };
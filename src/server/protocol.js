@@ -0,0 +1,30 @@
+/**
+ * What the language server offers beyond standard LSP requests, shared with
+ * the VS Code client.
+ */
+
+// Commands run through workspace/executeCommand
+const COMMANDS = {
+  // Returns a plain text report of the index
+  indexStatus: 'awilix.indexStatus',
+  // Rebuilds the index from scratch
+  rebuildIndex: 'awilix.rebuildIndex',
+  // Asks the client to show a file (argument: its URI), after a quick fix created it
+  openFile: 'awilix.openFile',
+  // Returns the registrations nothing uses, as `{ key, container, location }`
+  listUnusedRegistrations: 'awilix.listUnusedRegistrations'
+};
+
+// Request for the dependency graph: params `{ focus: string|null }`, result
+// `{ data, keys }` with data as built by toGraphData, each registration node
+// having the `location` of its registration
+const DEPENDENCY_GRAPH_REQUEST = 'awilix/dependencyGraph';
+
+// Notification sent after every index update
+const INDEX_CHANGED_NOTIFICATION = 'awilix/indexChanged';
+
+module.exports = {
+  COMMANDS,
+  DEPENDENCY_GRAPH_REQUEST,
+  INDEX_CHANGED_NOTIFICATION
+};
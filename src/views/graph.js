@@ -0,0 +1,327 @@
+const vscode = require('vscode');
+const crypto = require('crypto');
+const { toDot, toMermaid, KIND_COLORS } = require('../graph');
+
+let panel = null;
+let fetchGraph = null;
+let focusKey = null;
+// Graph last sent to the webview
+let shown = null;
+
+/**
+ * Open (or reveal) the dependency graph webview
+ * @param {Function} graphFetcher - Function getting `{ data, keys }` for a focus key from the language server
+ * @param {string|null} focus - Key to focus on, if any
+ */
+function showDependencyGraph(graphFetcher, focus = null) {
+  fetchGraph = graphFetcher;
+  if (focus) focusKey = focus;
+
+  if (panel) {
+    panel.reveal();
+    render();
+    return;
+  }
+
+  panel = vscode.window.createWebviewPanel(
+    'awilixDependencyGraph',
+    'Awilix Dependency Graph',
+    vscode.ViewColumn.Beside,
+    { enableScripts: true, retainContextWhenHidden: true }
+  );
+  panel.webview.html = getHtml(panel.webview);
+
+  panel.onDidDispose(() => {
+    panel = null;
+    focusKey = null;
+    shown = null;
+  });
+
+  panel.webview.onDidReceiveMessage(async (message) => {
+    switch (message.type) {
+      case 'ready':
+        await render();
+        break;
+      case 'focus':
+        focusKey = message.key || null;
+        await render();
+        break;
+      case 'open':
+        await openNode(message.id);
+        break;
+      case 'export':
+        await exportGraph(message.format);
+        break;
+    }
+  });
+}
+
+/**
+ * Re-render the graph after the index changed, if the panel is open
+ */
+function refreshDependencyGraph() {
+  if (panel) render();
+}
+
+/**
+ * Send the current graph to the webview
+ */
+async function render() {
+  if (!panel || !fetchGraph) return;
+
+  const focus = focusKey;
+  const graph = await fetchGraph(focus);
+  if (!panel || focus !== focusKey) return;
+
+  shown = graph.data;
+  panel.webview.postMessage({
+    type: 'render',
+    data: graph.data,
+    keys: graph.keys,
+    focus,
+    colors: KIND_COLORS
+  });
+}
+
+/**
+ * Jump to the registration behind a graph node
+ * @param {string} id - Node id (`r<n>`, see toGraphData)
+ */
+async function openNode(id) {
+  const node = shown && shown.nodes.find(candidate => candidate.id === id);
+  if (!node || !node.location) return;
+
+  const { uri, range } = node.location;
+  const selection = new vscode.Range(range.start.line, range.start.character, range.end.line, range.end.character);
+  await vscode.window.showTextDocument(vscode.Uri.parse(uri), { selection, viewColumn: vscode.ViewColumn.One });
+}
+
+/**
+ * Export the graph currently shown as DOT or Mermaid text
+ * @param {'dot'|'mermaid'} format
+ */
+async function exportGraph(format) {
+  if (!shown) return;
+  const content = format === 'dot' ? toDot(shown) : toMermaid(shown);
+
+  await vscode.env.clipboard.writeText(content);
+  const doc = await vscode.workspace.openTextDocument({ content, language: 'plaintext' });
+  await vscode.window.showTextDocument(doc, vscode.ViewColumn.One);
+  vscode.window.showInformationMessage(`Awilix: ${format === 'dot' ? 'DOT' : 'Mermaid'} graph copied to the clipboard`);
+}
+
+/**
+ * Build the webview HTML: a toolbar and an SVG drawn by an inline script
+ * @param {vscode.Webview} webview
+ * @returns {string}
+ */
+function getHtml(webview) {
+  const nonce = crypto.randomBytes(16).toString('base64');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}';">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Awilix Dependency Graph</title>
+<style>
+  html, body { margin: 0; padding: 0; height: 100%; overflow: hidden; }
+  body { color: var(--vscode-foreground); background: var(--vscode-editor-background); font-family: var(--vscode-font-family); font-size: 12px; }
+  #toolbar { display: flex; gap: 8px; align-items: center; padding: 6px 8px; border-bottom: 1px solid var(--vscode-panel-border); }
+  #toolbar select, #toolbar button { color: var(--vscode-foreground); background: var(--vscode-input-background); border: 1px solid var(--vscode-input-border, transparent); padding: 2px 6px; }
+  #toolbar button { cursor: pointer; }
+  #legend { margin-left: auto; display: flex; gap: 10px; }
+  #legend span::before { content: ''; display: inline-block; width: 10px; height: 10px; margin-right: 4px; background: var(--swatch); }
+  #graph { width: 100%; height: calc(100% - 36px); cursor: grab; color: var(--vscode-foreground); }
+  .node { cursor: pointer; }
+  .node text { fill: #fff; font-size: 12px; pointer-events: none; }
+  .node.focus > :first-child { stroke: var(--vscode-focusBorder); stroke-width: 3; }
+  .node.missing > :first-child { stroke-dasharray: 4 3; }
+  .edge { fill: none; stroke: var(--vscode-foreground); stroke-opacity: 0.5; }
+  #empty { position: absolute; top: 50%; width: 100%; text-align: center; opacity: 0.7; }
+</style>
+</head>
+<body>
+<div id="toolbar">
+  <label>Focus <select id="focus"><option value="">All registrations</option></select></label>
+  <button id="export-dot">Export DOT</button>
+  <button id="export-mermaid">Export Mermaid</button>
+  <div id="legend"></div>
+</div>
+<svg id="graph" xmlns="http://www.w3.org/2000/svg">
+  <defs>
+    <marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+      <path d="M 0 0 L 10 5 L 0 10 z" fill="currentColor"></path>
+    </marker>
+  </defs>
+  <g id="viewport"></g>
+</svg>
+<div id="empty" hidden>No registrations found</div>
+<script nonce="${nonce}">
+(function () {
+  const vscode = acquireVsCodeApi();
+  const SVG = 'http://www.w3.org/2000/svg';
+  const svg = document.getElementById('graph');
+  const viewport = document.getElementById('viewport');
+  const focusSelect = document.getElementById('focus');
+  const view = { x: 0, y: 0, scale: 1 };
+
+  const el = (name, attrs, parent) => {
+    const node = document.createElementNS(SVG, name);
+    for (const [key, value] of Object.entries(attrs)) node.setAttribute(key, value);
+    if (parent) parent.appendChild(node);
+    return node;
+  };
+
+  // Dependents on the left, their dependencies further right (longest path layering)
+  function layout(data) {
+    const incoming = new Map(data.nodes.map(n => [n.id, []]));
+    for (const edge of data.edges) incoming.get(edge.to).push(edge.from);
+
+    const layer = new Map();
+    const visiting = new Set();
+    const depth = (id) => {
+      if (layer.has(id)) return layer.get(id);
+      if (visiting.has(id)) return 0;
+      visiting.add(id);
+      let d = 0;
+      for (const parent of incoming.get(id)) d = Math.max(d, depth(parent) + 1);
+      visiting.delete(id);
+      layer.set(id, d);
+      return d;
+    };
+    data.nodes.forEach(n => depth(n.id));
+
+    const columns = [];
+    for (const node of data.nodes) {
+      const l = layer.get(node.id);
+      (columns[l] = columns[l] || []).push(node);
+    }
+
+    // Order each column by the average row of its dependents
+    const row = new Map();
+    columns.forEach((column, l) => {
+      if (l > 0) {
+        const weight = (node) => {
+          const parents = incoming.get(node.id).filter(p => row.has(p));
+          return parents.length ? parents.reduce((sum, p) => sum + row.get(p), 0) / parents.length : Number.MAX_SAFE_INTEGER;
+        };
+        column.sort((a, b) => weight(a) - weight(b));
+      }
+      column.forEach((node, i) => row.set(node.id, i));
+    });
+
+    const positions = new Map();
+    let x = 20;
+    for (const column of columns) {
+      if (!column) continue;
+      const width = Math.max(...column.map(n => 24 + n.label.length * 7));
+      column.forEach((node, i) => positions.set(node.id, { x, y: 20 + i * 52, width: 24 + node.label.length * 7, height: 30 }));
+      x += width + 80;
+    }
+    return positions;
+  }
+
+  function drawShape(node, pos, group, color) {
+    const { x, y, width: w, height: h } = pos;
+    if (node.lifetime === 'singleton') return el('rect', { x, y, width: w, height: h, rx: 2, fill: color }, group);
+    if (node.lifetime === 'scoped') return el('rect', { x, y, width: w, height: h, rx: h / 2, fill: color }, group);
+    if (node.lifetime === 'transient') {
+      const points = [[x + 10, y], [x + w - 10, y], [x + w, y + h / 2], [x + w - 10, y + h], [x + 10, y + h], [x, y + h / 2]];
+      return el('polygon', { points: points.map(p => p.join(',')).join(' '), fill: color }, group);
+    }
+    return el('ellipse', { cx: x + w / 2, cy: y + h / 2, rx: w / 2, ry: h / 2, fill: color }, group);
+  }
+
+  function draw(message) {
+    const { data, colors } = message;
+    viewport.replaceChildren();
+    document.getElementById('empty').hidden = data.nodes.length > 0;
+
+    for (const node of data.nodes) {
+      const repeated = data.nodes.some(o => o !== node && o.key === node.key);
+      node.label = repeated && node.container ? node.key + ' (' + node.container + ')' : node.key;
+    }
+    const positions = layout(data);
+
+    for (const edge of data.edges) {
+      const from = positions.get(edge.from);
+      const to = positions.get(edge.to);
+      if (!from || !to) continue;
+      const x1 = from.x + from.width, y1 = from.y + from.height / 2;
+      const x2 = to.x, y2 = to.y + to.height / 2;
+      const d = x2 > x1
+        ? 'M ' + x1 + ' ' + y1 + ' C ' + (x1 + 40) + ' ' + y1 + ', ' + (x2 - 40) + ' ' + y2 + ', ' + x2 + ' ' + y2
+        : 'M ' + x1 + ' ' + y1 + ' C ' + (x1 + 60) + ' ' + (y1 + 60) + ', ' + (x2 - 60) + ' ' + (y2 + 60) + ', ' + x2 + ' ' + y2;
+      el('path', { d, class: 'edge', 'marker-end': 'url(#arrow)' }, viewport);
+    }
+
+    for (const node of data.nodes) {
+      const pos = positions.get(node.id);
+      const group = el('g', { class: 'node' + (node.focus ? ' focus' : '') + (node.kind === 'missing' ? ' missing' : '') }, viewport);
+      drawShape(node, pos, group, colors[node.kind] || '#888');
+      const text = el('text', { x: pos.x + pos.width / 2, y: pos.y + pos.height / 2 + 4, 'text-anchor': 'middle' }, group);
+      text.textContent = node.label;
+      const title = el('title', {}, group);
+      title.textContent = node.kind === 'missing'
+        ? node.key + ': not registered'
+        : node.key + '\\n' + node.kind + (node.lifetime ? ' • ' + node.lifetime : '') + '\\ncontainer: ' + node.container;
+      group.addEventListener('click', () => vscode.postMessage({ type: 'open', id: node.id }));
+      group.addEventListener('dblclick', () => vscode.postMessage({ type: 'focus', key: node.key }));
+    }
+
+    focusSelect.replaceChildren(new Option('All registrations', ''));
+    for (const key of message.keys) focusSelect.appendChild(new Option(key, key, false, key === message.focus));
+
+    const legend = document.getElementById('legend');
+    legend.replaceChildren();
+    for (const [kind, color] of Object.entries(colors)) {
+      const item = document.createElement('span');
+      item.style.setProperty('--swatch', color);
+      item.textContent = kind;
+      legend.appendChild(item);
+    }
+    const shapes = document.createElement('span');
+    shapes.textContent = '▭ singleton · ⬭ scoped · ⬡ transient · ◯ value';
+    legend.appendChild(shapes);
+  }
+
+  function applyView() {
+    viewport.setAttribute('transform', 'translate(' + view.x + ' ' + view.y + ') scale(' + view.scale + ')');
+  }
+
+  svg.addEventListener('wheel', (event) => {
+    event.preventDefault();
+    const factor = event.deltaY < 0 ? 1.1 : 1 / 1.1;
+    view.x = event.offsetX - (event.offsetX - view.x) * factor;
+    view.y = event.offsetY - (event.offsetY - view.y) * factor;
+    view.scale *= factor;
+    applyView();
+  }, { passive: false });
+
+  let drag = null;
+  svg.addEventListener('mousedown', (event) => { drag = { x: event.clientX - view.x, y: event.clientY - view.y }; });
+  window.addEventListener('mousemove', (event) => {
+    if (!drag) return;
+    view.x = event.clientX - drag.x;
+    view.y = event.clientY - drag.y;
+    applyView();
+  });
+  window.addEventListener('mouseup', () => { drag = null; });
+
+  focusSelect.addEventListener('change', () => vscode.postMessage({ type: 'focus', key: focusSelect.value }));
+  document.getElementById('export-dot').addEventListener('click', () => vscode.postMessage({ type: 'export', format: 'dot' }));
+  document.getElementById('export-mermaid').addEventListener('click', () => vscode.postMessage({ type: 'export', format: 'mermaid' }));
+
+  window.addEventListener('message', (event) => {
+    if (event.data.type === 'render') draw(event.data);
+  });
+  vscode.postMessage({ type: 'ready' });
+}());
+</script>
+</body>
+</html>`;
+}
+
+module.exports = { showDependencyGraph, refreshDependencyGraph };
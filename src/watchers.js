@@ -0,0 +1,115 @@
+const fs = require('fs');
+const { fileURLToPath } = require('url');
+const { SOURCE_EXTENSIONS } = require('./parsers/ast');
+const { isSourceUri } = require('./providers/lsp');
+
+/**
+ * Batch file system events: a branch switch touching hundreds of files results
+ * in a single update
+ * @param {Function} onUpdate - Callback with the changed, created and deleted paths
+ * @param {number} delay - Milliseconds to wait for more events before updating
+ * @returns {{record: Function, dispose: Function}} record(kind, file) with kind 'changed', 'created' or 'deleted'
+ */
+function batchFileChanges(onUpdate, delay = 300) {
+  let pending = { changed: new Set(), created: new Set(), deleted: new Set() };
+  let timer = null;
+
+  const flush = () => {
+    timer = null;
+    const changes = pending;
+    pending = { changed: new Set(), created: new Set(), deleted: new Set() };
+    onUpdate(changes);
+  };
+
+  return {
+    record(kind, file) {
+      if (kind === 'deleted') {
+        pending.changed.delete(file);
+        pending.created.delete(file);
+      } else if (pending.deleted.delete(file)) {
+        // Deleted and recreated, e.g. by a branch switch
+        kind = 'changed';
+      }
+      if (kind !== 'changed' || !pending.created.has(file)) pending[kind].add(file);
+
+      if (timer) clearTimeout(timer);
+      timer = setTimeout(flush, delay);
+    },
+
+    dispose() {
+      if (timer) clearTimeout(timer);
+    }
+  };
+}
+
+/**
+ * Track the unsaved content of open source documents in `overlays`, and
+ * report which files to index again, batched while the user types. LSP doesn't
+ * tell whether a document is modified: it is when its content differs from the
+ * file on disk.
+ * @param {import('vscode-languageserver').TextDocuments} documents - Open documents
+ * @param {Map<string, string>} overlays - Path to unsaved content, updated in place
+ * @param {Function} onUpdate - Callback with the changed paths, in the shape of batchFileChanges'
+ * @param {number} delay - Milliseconds of inactivity before updating
+ * @returns {{dispose: Function}}
+ */
+function watchOpenDocuments(documents, overlays, onUpdate, delay = 300) {
+  // Path to the latest content, or null once closed
+  let pending = new Map();
+  let timer = null;
+
+  const readDisk = (file) => {
+    try {
+      return fs.readFileSync(file, 'utf-8');
+    } catch {
+      return null;
+    }
+  };
+
+  // Saved content is picked up by the file watcher; reverted or closed
+  // documents fall back to the file on disk
+  const flush = () => {
+    timer = null;
+    const changed = new Set();
+    for (const [file, text] of pending) {
+      const hadOverlay = overlays.has(file);
+      if (text !== null && text !== readDisk(file)) {
+        if (overlays.get(file) === text) continue;
+        overlays.set(file, text);
+      } else {
+        overlays.delete(file);
+        if (!hadOverlay) continue;
+      }
+      changed.add(file);
+    }
+    pending = new Map();
+    if (changed.size > 0) onUpdate({ changed, created: new Set(), deleted: new Set() });
+  };
+
+  const track = (doc, text) => {
+    if (!isSourceUri(doc.uri, SOURCE_EXTENSIONS)) return;
+    pending.set(fileURLToPath(doc.uri), text);
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(flush, delay);
+  };
+
+  const subscriptions = [
+    documents.onDidChangeContent(({ document }) => track(document, document.getText())),
+    documents.onDidSave(({ document }) => {
+      if (isSourceUri(document.uri, SOURCE_EXTENSIONS)) overlays.delete(fileURLToPath(document.uri));
+    }),
+    documents.onDidClose(({ document }) => track(document, null))
+  ];
+
+  return {
+    dispose() {
+      if (timer) clearTimeout(timer);
+      for (const subscription of subscriptions) subscription.dispose();
+    }
+  };
+}
+
+module.exports = {
+  batchFileChanges,
+  watchOpenDocuments
+};
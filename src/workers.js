@@ -0,0 +1,95 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'indexWorker.js');
+
+/**
+ * Get the number of worker threads to index with: one per core, leaving one
+ * for the thread answering requests
+ * @returns {number}
+ */
+function defaultWorkerCount() {
+  return Math.max(1, Math.min(os.cpus().length - 1, 8));
+}
+
+/**
+ * Index files on a pool of worker threads. Results are reported as each file
+ * completes; files are handed out one at a time so slow files don't hold up
+ * a whole batch.
+ * @param {Array<{file: string, workspaceRoot: string}>} tasks
+ * @param {{loadModulesGlobs?: string[], registerContainerNames?: string[], overlays?: Map<string, string>, workers?: number, token?: {isCancellationRequested: boolean}}} options
+ * @param {boolean} log - Whether to collect the workers' log lines
+ * @param {Function} onResult - Called with the task and `{fileIndex, error, log}`
+ * @returns {Promise<Array<{file: string, workspaceRoot: string}>>} Tasks left undone, after a
+ *   cancellation or when the workers could not be started or crashed
+ */
+function runIndexWorkers(tasks, options, log, onResult) {
+  const queue = [...tasks];
+  const failed = [];
+  const count = Math.min(options.workers || defaultWorkerCount(), queue.length);
+  // Every overlay, not only the task's own: indexing a file reads the modules
+  // it imports and registers, whose unsaved content must be seen too
+  const workerData = {
+    log,
+    options: { loadModulesGlobs: options.loadModulesGlobs, registerContainerNames: options.registerContainerNames, overlays: options.overlays }
+  };
+
+  return new Promise((resolve) => {
+    const workers = new Set();
+    let settled = false;
+
+    const finish = () => {
+      if (settled) return;
+      settled = true;
+      for (const worker of workers) worker.terminate();
+      resolve([...failed, ...queue]);
+    };
+
+    const next = (worker) => {
+      if (queue.length === 0 || (options.token && options.token.isCancellationRequested)) {
+        worker.task = null;
+        if ([...workers].every(other => !other.task)) finish();
+        return;
+      }
+
+      worker.task = queue.shift();
+      worker.postMessage(worker.task);
+    };
+
+    const lose = (worker) => {
+      if (!workers.delete(worker)) return;
+      if (worker.task) failed.push(worker.task);
+      worker.task = null;
+      if (workers.size === 0 || [...workers].every(other => !other.task)) finish();
+    };
+
+    for (let i = 0; i < count; i++) {
+      let worker;
+      try {
+        worker = new Worker(WORKER_SCRIPT, { workerData });
+      } catch (error) {
+        continue;
+      }
+      workers.add(worker);
+      worker.on('message', (message) => {
+        const task = worker.task;
+        onResult(task, message);
+        next(worker);
+      });
+      worker.on('error', () => lose(worker));
+      worker.on('exit', () => lose(worker));
+    }
+
+    if (workers.size === 0) {
+      finish();
+      return;
+    }
+    for (const worker of workers) next(worker);
+  });
+}
+
+module.exports = {
+  defaultWorkerCount,
+  runIndexWorkers
+};